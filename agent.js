@@ -0,0 +1,264 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const {createHash, randomBytes, timingSafeEqual} = require("crypto");
+const {normalizeDomain} = require("./domains");
+const {InvalidInputError, LockedError} = require("./errors");
+
+const TOKEN_BYTES = 32;  // size of the generated session tokens
+const LOOPBACK_HOSTS = ["127.0.0.1", "::1", "localhost"]; // the only hosts a TCP agent listens on
+const DEFAULT_ACCOUNT = "default";
+
+/*
+ * The agent speaks HTTP, over a Unix domain socket or a loopback TCP port.
+ * Every request carries the session token as "Authorization: Bearer <token>"
+ * and gets a JSON answer:
+ *   GET /list                          {domains}
+ *   GET /get?domain=<name>[&account=]  {domain, account, password}
+ * Errors are {error: <code>} with the status of STATUS_CODES.
+ */
+
+// HTTP status of every error code the agent answers with
+const STATUS_CODES = {
+    INVALID_INPUT: 400,
+    UNAUTHORIZED: 401,
+    NOT_ALLOWED: 403,
+    NOT_FOUND: 404,
+    METHOD_NOT_ALLOWED: 405,
+    LOCKED: 423,
+    INTERNAL_ERROR: 500,
+};
+
+// A request the agent refuses, answered with the status of code
+class RequestError extends Error {
+    constructor(code) {
+        super(code);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+function digest(token) {
+    return createHash("sha256").update(String(token)).digest();
+}
+
+// Keychain errors other than these mean the vault is broken, which is not
+// something to tell the client about
+function errorCode(e) {
+    if (e instanceof RequestError || e instanceof LockedError || e instanceof InvalidInputError) {
+        return e.code;
+    }
+    return "INTERNAL_ERROR";
+}
+
+/**
+ * Serves the passwords of a keychain to other local processes, so that they
+ * need neither the vault nor its master password; see above for the
+ * protocol. options.token is the session token clients must present (a
+ * random one by default, see agent.token); options.allow, if given, lists
+ * the only domains the agent serves, normalized like the keychain's names;
+ * options.auditLog is a writable stream that gets one JSON line per request:
+ * {time, operation, domain, account, status}, never a password or token.
+ *
+ * With options.idleTimeout, in milliseconds, an agent that has served no
+ * authenticated request for that long locks the keychain and stops serving,
+ * since nothing can unlock it without the master password; agent.stopped
+ * then resolves to "idle" (or to "closed" once close is called). A keychain
+ * that locks by other means is answered for with 423.
+ */
+class Agent {
+    /**
+     * @param {Keychain} keychain - The keychain to serve
+     * @param {object} options - {token, allow, auditLog, idleTimeout} (optional)
+     */
+    constructor(keychain, options = {}) {
+        const {token, allow, auditLog, idleTimeout} = options;
+        if (token !== undefined && (typeof token !== "string" || token.length === 0)) {
+            throw new InvalidInputError();
+        }
+        if (allow !== undefined && (!Array.isArray(allow) || !allow.every((name) => typeof name === "string"))) {
+            throw new InvalidInputError();
+        }
+        if (idleTimeout !== undefined && !(Number.isInteger(idleTimeout) && idleTimeout > 0)) {
+            throw new InvalidInputError();
+        }
+        this.keychain = keychain;
+        this.token = token || randomBytes(TOKEN_BYTES).toString("base64url");
+        this.tokenDigest = digest(this.token);
+        this.allow = allow === undefined
+            ? null
+            : new Set(allow.map((name) => normalizeDomain(name, keychain.data.normalization)));
+        this.auditLog = auditLog || null;
+        this.idleTimeout = idleTimeout || null;
+        this.idleTimer = null;
+        this.socket = null;
+        this.stopped = new Promise((resolve) => {
+            this.stop = resolve;
+        });
+        this.server = http.createServer((request, response) => {
+            this.handle(request, response).catch(() => response.destroy());
+        });
+    }
+
+    /**
+     * Starts serving on address.socket, the path of a Unix domain socket
+     * (accessible to its owner only), or on address.port (0 picks a free
+     * one) of address.host, which must be a loopback address. An existing
+     * file at address.socket fails with EEXIST.
+     * @param {object} address - {socket} or {port, host}
+     * @returns {Promise<string>} The socket path, or the URL of the agent
+     */
+    async listen(address) {
+        const {socket, port = 0, host = "127.0.0.1"} = address || {};
+        if (socket === undefined && (!Number.isInteger(port) || !LOOPBACK_HOSTS.includes(host))) {
+            throw new InvalidInputError();
+        }
+        let location;
+        if (socket !== undefined) {
+            await this.listenOnSocket(socket);
+            location = socket;
+        } else {
+            await this.listenOn(port, host);
+            const bound = this.server.address();
+            const hostname = bound.family === "IPv6" ? `[${bound.address}]` : bound.address;
+            location = `http://${hostname}:${bound.port}`;
+        }
+        this.restartIdleTimer();
+        return location;
+    }
+
+    listenOn(...target) {
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(...target, () => {
+                this.server.removeListener("error", reject);
+                resolve();
+            });
+        });
+    }
+
+    // Requests are authenticated either way; this keeps other users from even
+    // connecting. The socket is created in a directory only its owner can
+    // enter, restricted there and only then linked to its path, so it is
+    // never reachable with looser permissions.
+    async listenOnSocket(socket) {
+        const directory = await fs.promises.mkdtemp(path.join(path.dirname(socket), ".keychain-agent-"));
+        try {
+            const created = path.join(directory, "agent.sock");
+            await this.listenOn(created);
+            try {
+                await fs.promises.chmod(created, 0o600);
+                await fs.promises.link(created, socket);
+            } catch (e) {
+                await this.closeServer();
+                throw e;
+            }
+            this.socket = socket;
+        } finally {
+            await fs.promises.rm(directory, {recursive: true, force: true});
+        }
+    }
+
+    /**
+     * Stops serving and drops open connections.
+     */
+    async close() {
+        await this.shutDown("closed");
+    }
+
+    async shutDown(reason) {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        await this.closeServer();
+        if (this.socket !== null) {
+            await fs.promises.rm(this.socket, {force: true});
+            this.socket = null;
+        }
+        this.stop(reason);
+    }
+
+    closeServer() {
+        return new Promise((resolve) => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();
+        });
+    }
+
+    restartIdleTimer() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        if (this.idleTimeout !== null && this.server.listening) {
+            this.idleTimer = setTimeout(() => {
+                this.keychain.lock().finally(() => this.shutDown("idle")).catch(() => undefined);
+            }, this.idleTimeout);
+        }
+    }
+
+    allows(domain) {
+        return this.allow === null || this.allow.has(domain);
+    }
+
+    authorized(request) {
+        const match = /^Bearer (.+)$/.exec(request.headers.authorization || "");
+        return match !== null && timingSafeEqual(digest(match[1]), this.tokenDigest);
+    }
+
+    async serve(request, url, entry) {
+        if (!this.authorized(request)) {
+            throw new RequestError("UNAUTHORIZED");
+        }
+        this.restartIdleTimer();
+        if (url.pathname !== "/list" && url.pathname !== "/get") {
+            throw new RequestError("NOT_FOUND");
+        }
+        if (request.method !== "GET") {
+            throw new RequestError("METHOD_NOT_ALLOWED");
+        }
+        if (url.pathname === "/list") {
+            return {domains: (await this.keychain.list()).filter((domain) => this.allows(domain))};
+        }
+        if (!url.searchParams.get("domain")) {
+            throw new RequestError("INVALID_INPUT");
+        }
+        entry.domain = normalizeDomain(url.searchParams.get("domain"), this.keychain.data.normalization);
+        if (!this.allows(entry.domain)) {
+            throw new RequestError("NOT_ALLOWED");
+        }
+        const password = await this.keychain.get(entry.domain, entry.account);
+        if (password === null) {
+            throw new RequestError("NOT_FOUND");
+        }
+        return {domain: entry.domain, account: entry.account, password: password};
+    }
+
+    async handle(request, response) {
+        const url = new URL(request.url, "http://agent");
+        const entry = {
+            time: new Date().toISOString(),
+            operation: url.pathname.slice(1),
+            domain: url.searchParams.get("domain"),
+            account: url.searchParams.get("account") || DEFAULT_ACCOUNT,
+            status: 200,
+        };
+        let body;
+        try {
+            body = await this.serve(request, url, entry);
+        } catch (e) {
+            const code = errorCode(e);
+            entry.status = STATUS_CODES[code];
+            body = {error: code};
+        }
+        if (this.auditLog) {
+            this.auditLog.write(JSON.stringify(entry) + "\n");
+        }
+        response.writeHead(entry.status, {"Content-Type": "application/json", "Cache-Control": "no-store"});
+        response.end(JSON.stringify(body));
+    }
+}
+
+module.exports = {
+    Agent,
+    STATUS_CODES,
+}
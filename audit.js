@@ -0,0 +1,116 @@
+"use strict";
+
+const {CHARACTER_CLASSES} = require("./generator");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Default audit settings.
+ *   minEntropy: passwords with a lower estimated entropy (in bits) are weak
+ *   maxAge:     passwords not changed for longer than this many milliseconds
+ *               are stale
+ */
+const DEFAULT_AUDIT = {minEntropy: 50, maxAge: 365 * DAY};
+
+// Frequently leaked passwords and the base words they are built on, compared
+// after lowercasing, undoing common substitutions and dropping the digits and
+// symbols around them
+const COMMON_PASSWORDS = new Set([
+    "password", "passw0rd", "123456", "12345678", "123456789", "1234567890", "qwerty", "qwertyuiop",
+    "abc123", "111111", "123123", "admin", "administrator", "letmein", "welcome", "monkey", "dragon",
+    "master", "login", "princess", "sunshine", "iloveyou", "football", "baseball", "shadow",
+    "superman", "batman", "trustno1", "starwars", "whatever", "freedom", "hello", "secret",
+    "charlie", "michael", "jennifer", "jordan", "hunter", "ninja", "mustang", "access", "flower",
+    "cheese", "computer", "summer", "winter", "spring", "autumn", "changeme", "default", "guest",
+    "root", "test", "pass", "zaq1zaq1", "asdfgh", "asdfghjkl", "zxcvbn", "zxcvbnm", "1q2w3e4r",
+]);
+const SUBSTITUTIONS = {"@": "a", "4": "a", "8": "b", "3": "e", "1": "i", "!": "i", "0": "o", "$": "s", "5": "s", "7": "t"};
+const KEYBOARD_ROWS = ["`1234567890-=", "qwertyuiop[]\\", "asdfghjkl;'", "zxcvbnm,./"];
+const SEQUENCE_LENGTH = 4; // runs of this many consecutive characters count as a sequence
+const REPEAT_LENGTH = 3;   // and this many equal characters as a repetition
+
+/**
+ * Estimates the entropy of a password in bits as its length times the base-2
+ * logarithm of the size of the character classes it draws from. This is an
+ * upper bound for passwords chosen by people; the patterns reported by
+ * rateStrength are what brings such passwords down.
+ * @param {string} password - The password to rate
+ * @returns {number} The estimated entropy in bits
+ */
+function estimateEntropy(password) {
+    const chars = [...password];
+    let pool = 0;
+    for (const members of Object.values(CHARACTER_CLASSES)) {
+        if (chars.some((c) => members.includes(c))) {
+            pool += members.length;
+        }
+    }
+    // Anything outside the ASCII classes (spaces, letters of other scripts)
+    if (chars.some((c) => !Object.values(CHARACTER_CLASSES).some((members) => members.includes(c)))) {
+        pool += 100;
+    }
+    return pool === 0 ? 0 : chars.length * Math.log2(pool);
+}
+
+function unsubstitute(text) {
+    return [...text].map((c) => SUBSTITUTIONS[c] || c).join("");
+}
+
+function isCommon(password) {
+    const lower = password.toLowerCase();
+    const base = lower.replace(/^[^a-z]+|[^a-z]+$/g, "");
+    return [lower, unsubstitute(lower), base, unsubstitute(base)].some((candidate) => COMMON_PASSWORDS.has(candidate));
+}
+
+function hasSequence(password) {
+    const lower = password.toLowerCase();
+    for (let i = 0; i + SEQUENCE_LENGTH <= lower.length; i++) {
+        const run = lower.slice(i, i + SEQUENCE_LENGTH);
+        const steps = [...run].slice(1).map((c, j) => c.charCodeAt(0) - run.charCodeAt(j));
+        if (steps.every((step) => step === 1) || steps.every((step) => step === -1)) {
+            return true;
+        }
+        const reversed = [...run].reverse().join("");
+        if (KEYBOARD_ROWS.some((row) => row.includes(run) || row.includes(reversed))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function hasRepetition(password) {
+    // A run of equal characters, or the whole password repeating a shorter unit
+    return new RegExp(`(.)\\1{${REPEAT_LENGTH - 1}}`).test(password) || /^(.+)\1+$/.test(password);
+}
+
+/**
+ * Rates a password and lists why it is weak: "common" (a frequently leaked
+ * password or a variation of one), "sequence" (alphabetical, numerical or
+ * keyboard runs), "repetition" and "low-entropy" (below minEntropy).
+ * @param {string} password - The password to rate
+ * @param {number} minEntropy - The lowest acceptable entropy estimate in bits
+ * @returns {{entropy: number, reasons: Array<string>}} The estimate and the reasons, empty if none
+ */
+function rateStrength(password, minEntropy = DEFAULT_AUDIT.minEntropy) {
+    const entropy = estimateEntropy(password);
+    const reasons = [];
+    if (isCommon(password)) {
+        reasons.push("common");
+    }
+    if (hasSequence(password)) {
+        reasons.push("sequence");
+    }
+    if (hasRepetition(password)) {
+        reasons.push("repetition");
+    }
+    if (entropy < minEntropy) {
+        reasons.push("low-entropy");
+    }
+    return {entropy: entropy, reasons: reasons};
+}
+
+module.exports = {
+    DEFAULT_AUDIT,
+    estimateEntropy,
+    rateStrength,
+}
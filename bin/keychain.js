@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+"use strict";
+
+const {main} = require("../cli");
+
+main(process.argv.slice(2)).then((status) => {
+    process.exitCode = status;
+}, (e) => {
+    process.stderr.write(`keychain: ${e && e.message ? e.message : e}\n`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,104 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const {Readable} = require("stream");
+const {subtle} = require("crypto").webcrypto;
+const {stringToBuffer} = require("./lib");
+const {InvalidInputError} = require("./errors");
+
+const HASH_LENGTH = 40;  // hex digits of a SHA-1 hash
+const PREFIX_LENGTH = 5; // hex digits naming a range (bucket) of the list
+const LINE_PATTERN = /^([0-9A-Fa-f]+):(\d+)$/;
+
+/**
+ * Computes the SHA-1 hash of a password the way breach lists store it.
+ * @param {string} password - A password
+ * @returns {Promise<string>} The hash as 40 upper-case hex digits
+ */
+async function breachHash(password) {
+    const digest = await subtle.digest("SHA-1", stringToBuffer(password));
+    return Buffer.from(digest).toString("hex").toUpperCase();
+}
+
+// Reads "HASH:COUNT" lines, or "SUFFIX:COUNT" lines of the range named by
+// prefix, one at a time, so lists of any size are read in constant memory
+async function scanLines(input, prefix, wanted, found) {
+    const lines = readline.createInterface({input: input, crlfDelay: Infinity});
+    let number = 0;
+    for await (const line of lines) {
+        number += 1;
+        const text = line.trim();
+        if (text === "") {
+            continue;
+        }
+        const match = LINE_PATTERN.exec(text);
+        if (!match || prefix.length + match[1].length !== HASH_LENGTH) {
+            throw new InvalidInputError(`Malformed breach list line ${number}!`);
+        }
+        const hash = prefix + match[1].toUpperCase();
+        if (wanted.has(hash)) {
+            found.set(hash, (found.get(hash) || 0) + Number(match[2]));
+        }
+    }
+}
+
+async function scanFile(file, prefix, wanted, found) {
+    const input = fs.createReadStream(file);
+    try {
+        await scanLines(input, prefix, wanted, found);
+    } finally {
+        input.destroy();
+    }
+}
+
+/**
+ * Looks up SHA-1 hashes in a breach list in the HIBP Pwned Passwords format.
+ * source is one of
+ *   - the path of a file of "HASH:COUNT" lines (the full downloadable list),
+ *   - the path of a directory of range files named "<PREFIX>.txt" holding
+ *     "SUFFIX:COUNT" lines (as returned by the range API), of which only the
+ *     ranges of the given hashes are read, or
+ *   - a readable stream or async iterable of the lines of either kind of file.
+ * options.prefix names the range of a single range file or stream.
+ * @param {string|Readable|AsyncIterable} source - The breach list
+ * @param {Iterable<string>} hashes - Upper-case hex SHA-1 hashes to look up
+ * @param {object} options - {prefix} (optional)
+ * @returns {Promise<Map<string, number>>} The occurrence count of every hash found
+ */
+async function countBreaches(source, hashes, options = {}) {
+    const prefix = options.prefix === undefined ? "" : options.prefix;
+    if (typeof prefix !== "string" || (prefix !== "" && !new RegExp(`^[0-9A-Fa-f]{${PREFIX_LENGTH}}$`).test(prefix))) {
+        throw new InvalidInputError();
+    }
+    const wanted = new Set(hashes);
+    const found = new Map();
+    if (typeof source === "string") {
+        const stats = await fs.promises.stat(source);
+        if (!stats.isDirectory()) {
+            await scanFile(source, prefix.toUpperCase(), wanted, found);
+            return found;
+        }
+        const ranges = new Set([...wanted].map((hash) => hash.slice(0, PREFIX_LENGTH)));
+        for (const range of [...ranges].sort()) {
+            const file = path.join(source, `${range}.txt`);
+            if (fs.existsSync(file)) {
+                await scanFile(file, range, wanted, found);
+            }
+        }
+        return found;
+    }
+    if (source === null || typeof source !== "object" ||
+        (typeof source.pipe !== "function" && typeof source[Symbol.asyncIterator] !== "function")) {
+        throw new InvalidInputError();
+    }
+    const input = typeof source.pipe === "function" ? source : Readable.from(source);
+    await scanLines(input, prefix.toUpperCase(), wanted, found);
+    return found;
+}
+
+module.exports = {
+    breachHash,
+    countBreaches,
+}
@@ -0,0 +1,482 @@
+"use strict";
+
+const fs = require("fs");
+const {parseArgs} = require("util");
+const {Keychain, generatePassword, KeychainError} = require("./password-manager");
+const {FileStorage, writeAtomic} = require("./storage");
+const {Agent} = require("./agent");
+
+const DEFAULT_VAULT = "keychain.json";
+
+const USAGE = `Usage: keychain <command> [options]
+
+Commands:
+  init                      create a new vault
+  get <domain>              print the password of an entry
+  set <domain>              store a password, read like the master password
+  rm <domain>               remove an entry, or one account of it with --account
+  list                      list the domains in the vault
+  generate [<domain>]       print a new password, storing it if a domain is given
+  import <file>             import a chrome, firefox, bitwarden or keepass export,
+                            or a bundle written by export
+  export <domain>...        write a password-protected bundle of entries
+  agent                     serve get and list to local processes until stopped
+
+Options:
+  --vault <file>            vault file (default: $KEYCHAIN_VAULT or ${DEFAULT_VAULT})
+  --password-fd <n>         read passwords, one per line, from file descriptor n
+                            instead of prompting on the terminal
+  --account <name>          account of the entry (get, set, rm, generate)
+  --force                   replace an existing vault (init)
+  --length <n>              password length (generate)
+  --no-symbols              leave out symbols (generate)
+  --exclude-ambiguous       leave out look-alike characters (generate)
+  --passphrase              generate a word-list passphrase (generate)
+  --words <n>               number of passphrase words (generate)
+  --format <name>           chrome, firefox, bitwarden, keepass or bundle (import)
+  --dry-run                 report what would be imported without saving (import)
+  --on-conflict <policy>    skip (default) or overwrite existing accounts, or for
+                            bundles also newer (import)
+  --by-username             import logins as accounts named after their usernames (import)
+  --out <file>              bundle file, instead of standard output (export)
+  --socket <path>           Unix socket to serve on (agent)
+  --port <n>                localhost TCP port to serve on instead (agent)
+  --allow <domain>          serve only this domain; may be repeated (agent)
+  --audit-log <file>        append a JSON line for every request (agent)
+  --idle-timeout <seconds>  lock the vault and stop after so long without requests (agent)
+`;
+
+const OPTIONS = {
+    "vault": {type: "string"},
+    "password-fd": {type: "string"},
+    "account": {type: "string"},
+    "force": {type: "boolean"},
+    "length": {type: "string"},
+    "no-symbols": {type: "boolean"},
+    "exclude-ambiguous": {type: "boolean"},
+    "passphrase": {type: "boolean"},
+    "words": {type: "string"},
+    "format": {type: "string"},
+    "dry-run": {type: "boolean"},
+    "on-conflict": {type: "string"},
+    "by-username": {type: "boolean"},
+    "out": {type: "string"},
+    "socket": {type: "string"},
+    "port": {type: "string"},
+    "allow": {type: "string", multiple: true},
+    "audit-log": {type: "string"},
+    "idle-timeout": {type: "string"},
+    "help": {type: "boolean", short: "h"},
+};
+
+// Reasons of the file system errors a command reports like any other failure
+// instead of crashing with a stack trace
+const FILE_ERRORS = {
+    ENOENT: "No such file or directory",
+    EACCES: "Permission denied",
+    EPERM: "Operation not permitted",
+    EISDIR: "Is a directory",
+    ENOTDIR: "Not a directory",
+    EBADF: "Bad file descriptor",
+    EINVAL: "Invalid argument",
+};
+
+/**
+ * A command that could not be carried out, reported on standard error with
+ * the given exit status.
+ */
+class CommandError extends Error {
+    /**
+     * @param {string} message - A human readable description
+     * @param {number} status - The exit status
+     */
+    constructor(message, status = 1) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+    }
+}
+
+/**
+ * A command line that cannot be run as given. Reported with a hint at the
+ * usage and exit status 2.
+ */
+class UsageError extends CommandError {
+    constructor(message) {
+        super(message, 2);
+    }
+}
+
+// Reads the passwords a command asks for, either all from a file descriptor
+// (one per line) or one at a time from the terminal without echoing them
+class Prompter {
+    constructor(io, fd) {
+        this.io = io;
+        this.lines = null;
+        if (fd !== undefined) {
+            if (!/^\d+$/.test(fd)) {
+                throw new UsageError("--password-fd takes a file descriptor number");
+            }
+            try {
+                this.lines = fs.readFileSync(Number(fd), "utf8").split(/\r?\n/);
+            } catch (e) {
+                throw fileError(e, `file descriptor ${fd}`);
+            }
+        }
+    }
+
+    async ask(question, confirm = false) {
+        if (this.lines !== null) {
+            if (this.lines.length === 0 || (this.lines.length === 1 && this.lines[0] === "")) {
+                throw new UsageError("Not enough passwords on the password file descriptor");
+            }
+            return this.lines.shift();
+        }
+        if (!this.io.stdin.isTTY) {
+            throw new UsageError("No terminal to prompt for passwords on; use --password-fd");
+        }
+        const answer = await this.promptTty(question);
+        if (confirm && await this.promptTty("Repeat to confirm: ") !== answer) {
+            throw new CommandError("The passwords do not match");
+        }
+        return answer;
+    }
+
+    promptTty(question) {
+        const {stdin, stderr} = this.io;
+        return new Promise((resolve, reject) => {
+            let answer = "";
+            const finish = () => {
+                stdin.removeListener("data", onData);
+                stdin.setRawMode(false);
+                stdin.pause();
+                stderr.write("\n");
+            };
+            const onData = (chunk) => {
+                for (const c of chunk) {
+                    if (c === "\r" || c === "\n") {
+                        finish();
+                        resolve(answer);
+                        return;
+                    } else if (c === "\u0003" || c === "\u0004") {
+                        finish();
+                        reject(new CommandError("Interrupted", 130));
+                        return;
+                    } else if (c === "\u007f" || c === "\b") {
+                        answer = answer.slice(0, -1);
+                    } else {
+                        answer += c;
+                    }
+                }
+            };
+            stderr.write(question);
+            stdin.setEncoding("utf8");
+            stdin.setRawMode(true);
+            stdin.resume();
+            stdin.on("data", onData);
+        });
+    }
+}
+
+// The CommandError reporting a file system error about file (e.path by
+// default), or the error itself if it is not one of FILE_ERRORS
+function fileError(e, file) {
+    if (!e || !Object.prototype.hasOwnProperty.call(FILE_ERRORS, e.code)) {
+        return e;
+    }
+    const name = file || e.path;
+    return new CommandError(name ? `${name}: ${FILE_ERRORS[e.code]}` : FILE_ERRORS[e.code]);
+}
+
+function integerOption(values, name) {
+    if (values[name] === undefined) {
+        return undefined;
+    }
+    if (!/^\d+$/.test(values[name])) {
+        throw new UsageError(`--${name} takes a number`);
+    }
+    return Number(values[name]);
+}
+
+function generatorPolicy(values) {
+    const policy = {};
+    const length = integerOption(values, "length");
+    const words = integerOption(values, "words");
+    if (length !== undefined) {
+        policy.length = length;
+    }
+    if (words !== undefined) {
+        policy.words = words;
+    }
+    if (values["no-symbols"]) {
+        policy.symbols = false;
+    }
+    if (values["exclude-ambiguous"]) {
+        policy.excludeAmbiguous = true;
+    }
+    if (values.passphrase) {
+        policy.passphrase = true;
+    }
+    return policy;
+}
+
+function oneArgument(positionals, what) {
+    if (positionals.length !== 1) {
+        throw new UsageError(`Expected exactly one ${what}`);
+    }
+    return positionals[0];
+}
+
+// The vault file, kept by a FileStorage: the checksum goes to a sidecar file
+// and is verified through load's trustedDataCheck, and saves are atomic and
+// merged with changes other writers made in the meantime.
+class VaultFile {
+    constructor(file) {
+        this.file = file;
+        this.storage = new FileStorage(file);
+    }
+
+    async exists() {
+        return await this.storage.read() !== null;
+    }
+
+    async open(password, options) {
+        if (!await this.exists()) {
+            throw new CommandError(`No vault at ${this.file}; create one with "keychain init"`);
+        }
+        return await Keychain.open(this.storage, password, options);
+    }
+}
+
+const COMMANDS = {
+    async init({vault, prompter, values}) {
+        if (await vault.exists() && !values.force) {
+            throw new CommandError(`A vault already exists at ${vault.file}; use --force to replace it`);
+        }
+        const keychain = await Keychain.init(await prompter.ask("New master password: ", true));
+        await keychain.save({storage: vault.storage, onConflict: values.force ? "overwrite" : "fail"});
+    },
+
+    async get({vault, prompter, values, positionals, io}) {
+        const name = oneArgument(positionals, "domain");
+        const keychain = await vault.open(await prompter.ask("Master password: "));
+        const value = await keychain.get(name, values.account);
+        if (value === null) {
+            throw new CommandError(`No entry for ${name}`);
+        }
+        io.stdout.write(value + "\n");
+    },
+
+    async set({vault, prompter, values, positionals}) {
+        const name = oneArgument(positionals, "domain");
+        const keychain = await vault.open(await prompter.ask("Master password: "));
+        await keychain.set(name, await prompter.ask(`Password for ${name}: `, true), values.account);
+        await keychain.save();
+    },
+
+    async rm({vault, prompter, values, positionals}) {
+        const name = oneArgument(positionals, "domain");
+        const keychain = await vault.open(await prompter.ask("Master password: "));
+        const removed = values.account === undefined
+            ? await keychain.remove(name)
+            : await keychain.removeAccount(name, values.account);
+        if (!removed) {
+            throw new CommandError(`No entry for ${name}`);
+        }
+        await keychain.save();
+    },
+
+    async list({vault, prompter, positionals, io}) {
+        if (positionals.length !== 0) {
+            throw new UsageError("list takes no arguments");
+        }
+        const keychain = await vault.open(await prompter.ask("Master password: "));
+        for (const name of await keychain.list()) {
+            io.stdout.write(name + "\n");
+        }
+    },
+
+    async generate({vault, prompter, values, positionals, io}) {
+        if (positionals.length > 1) {
+            throw new UsageError("Expected at most one domain");
+        }
+        const policy = generatorPolicy(values);
+        let generated;
+        if (positionals.length === 0) {
+            generated = generatePassword(policy);
+        } else {
+            const keychain = await vault.open(await prompter.ask("Master password: "));
+            generated = await keychain.generateAndSet(positionals[0], policy, values.account);
+            await keychain.save();
+        }
+        io.stdout.write(generated.password + "\n");
+        io.stderr.write(`Entropy: ${Math.floor(generated.entropy)} bits\n`);
+    },
+
+    // Bundles written by export are imported with importBundle, which needs
+    // the bundle password and reports by domain instead of by row
+    async import({vault, prompter, values, positionals, io}) {
+        const file = oneArgument(positionals, "export file");
+        if (values.format === undefined) {
+            throw new UsageError("import needs --format");
+        }
+        if (values.format === "bundle" && values["by-username"]) {
+            throw new UsageError("--by-username does not apply to bundles");
+        }
+        const text = fs.readFileSync(file, "utf8");
+        const keychain = await vault.open(await prompter.ask("Master password: "));
+        const options = {dryRun: Boolean(values["dry-run"]), onConflict: values["on-conflict"]};
+        if (values.format === "bundle") {
+            const report = await keychain.importBundle(text, await prompter.ask("Bundle password: "), options);
+            for (const {domain, account} of report.imported) {
+                io.stdout.write(`imported ${domain} (${account})\n`);
+            }
+            for (const {domain, account} of report.conflicts) {
+                io.stdout.write(`conflict with ${domain} (${account})\n`);
+            }
+        } else {
+            const report = await keychain.importEntries(text, values.format, {
+                ...options,
+                byUsername: Boolean(values["by-username"]),
+            });
+            for (const {row, domain, account} of report.imported) {
+                io.stdout.write(`row ${row}: imported ${domain} (${account})\n`);
+            }
+            for (const {row, domain, account} of report.conflicts) {
+                io.stdout.write(`row ${row}: conflict with ${domain} (${account})\n`);
+            }
+            for (const {row, reason} of report.skipped) {
+                io.stdout.write(`row ${row}: skipped (${reason})\n`);
+            }
+            for (const {row, field, reason} of report.dropped) {
+                io.stdout.write(`row ${row}: imported without its ${field} (${reason})\n`);
+            }
+        }
+        if (!values["dry-run"]) {
+            await keychain.save();
+        }
+    },
+
+    async export({vault, prompter, values, positionals, io}) {
+        if (positionals.length === 0) {
+            throw new UsageError("Expected at least one domain");
+        }
+        const keychain = await vault.open(await prompter.ask("Master password: "));
+        const bundle = await keychain.exportBundle(positionals, await prompter.ask("Bundle password: ", true));
+        if (values.out === undefined) {
+            io.stdout.write(bundle + "\n");
+        } else {
+            await writeAtomic(values.out, bundle);
+        }
+    },
+
+    // Prints the address and session token of the agent in the shell syntax
+    // of ssh-agent, then serves until interrupted or terminated, or until it
+    // locks the vault after --idle-timeout seconds without requests
+    async agent({vault, prompter, values, positionals, io}) {
+        if (positionals.length !== 0) {
+            throw new UsageError("agent takes no arguments");
+        }
+        if ((values.socket === undefined) === (values.port === undefined)) {
+            throw new UsageError("agent needs either --socket or --port");
+        }
+        const port = integerOption(values, "port");
+        const idleTimeout = integerOption(values, "idle-timeout");
+        if (idleTimeout === 0) {
+            throw new UsageError("--idle-timeout takes a positive number");
+        }
+        const keychain = await vault.open(await prompter.ask("Master password: "));
+        const auditLog = values["audit-log"] === undefined
+            ? null
+            : fs.createWriteStream(values["audit-log"], {flags: "a", mode: 0o600});
+        const agent = new Agent(keychain, {
+            allow: values.allow,
+            auditLog: auditLog,
+            idleTimeout: idleTimeout === undefined ? undefined : idleTimeout * 1000,
+        });
+        try {
+            let address;
+            try {
+                address = await agent.listen(values.socket !== undefined ? {socket: values.socket} : {port: port});
+            } catch (e) {
+                if (e.code === "EADDRINUSE" || e.code === "EEXIST") {
+                    throw new CommandError(`${values.socket || `Port ${port}`} is already in use`);
+                }
+                throw e;
+            }
+            io.stdout.write(`KEYCHAIN_AGENT=${address}; export KEYCHAIN_AGENT;\n`);
+            io.stdout.write(`KEYCHAIN_AGENT_TOKEN=${agent.token}; export KEYCHAIN_AGENT_TOKEN;\n`);
+            let stop;
+            const signalled = new Promise((resolve) => {
+                stop = () => resolve("signal");
+                process.on("SIGINT", stop);
+                process.on("SIGTERM", stop);
+            });
+            const reason = await Promise.race([signalled, agent.stopped]);
+            process.removeListener("SIGINT", stop);
+            process.removeListener("SIGTERM", stop);
+            if (reason === "idle") {
+                io.stderr.write(`keychain: locked the vault after ${idleTimeout} seconds without requests\n`);
+            }
+        } finally {
+            await agent.close();
+            if (auditLog) {
+                await new Promise((resolve) => auditLog.end(resolve));
+            }
+        }
+    },
+};
+
+/**
+ * Runs the keychain command line. io holds the streams to use ({stdin,
+ * stdout, stderr}) and env the environment variables.
+ * @param {Array<string>} argv - The arguments after the program name
+ * @param {object} io - The standard streams
+ * @param {object} env - The environment
+ * @returns {Promise<number>} The exit status
+ */
+async function main(argv, io = process, env = process.env) {
+    try {
+        let parsed;
+        try {
+            parsed = parseArgs({args: argv, options: OPTIONS, allowPositionals: true});
+        } catch (e) {
+            throw new UsageError(e.message);
+        }
+        const [command, ...positionals] = parsed.positionals;
+        if (parsed.values.help || command === undefined) {
+            io.stdout.write(USAGE);
+            return command === undefined && !parsed.values.help ? 2 : 0;
+        }
+        if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+            throw new UsageError(`Unknown command ${command}`);
+        }
+        await COMMANDS[command]({
+            vault: new VaultFile(parsed.values.vault || env.KEYCHAIN_VAULT || DEFAULT_VAULT),
+            prompter: new Prompter(io, parsed.values["password-fd"]),
+            values: parsed.values,
+            positionals: positionals,
+            io: io,
+        });
+        return 0;
+    } catch (error) {
+        const e = fileError(error);
+        if (e instanceof UsageError) {
+            io.stderr.write(`keychain: ${e.message}\nTry "keychain --help".\n`);
+            return e.status;
+        }
+        if (e instanceof CommandError) {
+            io.stderr.write(`keychain: ${e.message}\n`);
+            return e.status;
+        }
+        if (e instanceof KeychainError) {
+            io.stderr.write(`keychain: ${e.message}\n`);
+            return 1;
+        }
+        throw e;
+    }
+}
+
+module.exports = {
+    main,
+}
@@ -0,0 +1,92 @@
+"use strict";
+
+const {domainToASCII} = require("url");
+const {getDomain} = require("tldts");
+
+const SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+/**
+ * Default normalization settings of a keychain.
+ *   stripWww:        treat "www.example.com" as "example.com"
+ *   matchSubdomains: let findForUrl fall back to entries sharing the URL's
+ *                    registrable domain
+ */
+const DEFAULT_NORMALIZATION = {stripWww: true, matchSubdomains: true};
+
+/**
+ * Reduces a domain name or URL to the host name it is stored under: the host
+ * of a URL (or of a "host/path" string) with any port removed, lowercased, as
+ * punycode and without a trailing dot or, if configured, a leading "www.".
+ * Names that are not host names are only trimmed and lowercased.
+ * @param {string} name - A domain name or URL
+ * @param {object} settings - Normalization settings (see DEFAULT_NORMALIZATION)
+ * @returns {string} The normalized domain name
+ */
+function normalizeDomain(name, settings = DEFAULT_NORMALIZATION) {
+    let host = name.trim();
+    if (SCHEME_PATTERN.test(host)) {
+        try {
+            host = new URL(host).hostname;
+        } catch (e) {
+            // Not a valid URL after all, so keep it as a plain name
+        }
+    } else {
+        host = host.split(/[/?#]/)[0].replace(/:\d+$/, "");
+    }
+    host = host.toLowerCase().replace(/\.$/, "");
+    host = domainToASCII(host) || host;
+    if (settings.stripWww && host.startsWith("www.") && host.length > "www.".length) {
+        host = host.slice("www.".length);
+    }
+    return host;
+}
+
+/**
+ * Returns the registrable domain (public suffix plus one label) of a host,
+ * or the host itself if it has none, e.g. for "localhost" or IP addresses.
+ * @param {string} host - A normalized host name
+ * @returns {string} The registrable domain
+ */
+function registrableDomain(host) {
+    return getDomain(host) || host;
+}
+
+/**
+ * Picks the stored domain that best matches a host: the host itself, then the
+ * closest of its parent domains and then, if subdomain matching is enabled,
+ * any other domain with the same registrable domain (shortest first).
+ * @param {string} host - A normalized host name
+ * @param {Iterable<string>} domains - The normalized domains in the keychain
+ * @param {object} settings - Normalization settings (see DEFAULT_NORMALIZATION)
+ * @returns {string|null} The best matching domain, or null if none matches
+ */
+function bestMatch(host, domains, settings = DEFAULT_NORMALIZATION) {
+    const site = registrableDomain(host);
+    let best = null;
+    let bestRank = null;
+    for (const domain of domains) {
+        let rank;
+        if (domain === host) {
+            rank = [0, 0];
+        } else if (!settings.matchSubdomains || registrableDomain(domain) !== site) {
+            continue;
+        } else if (host.endsWith("." + domain)) {
+            rank = [1, -domain.length];
+        } else {
+            rank = [2, domain.length];
+        }
+        if (bestRank === null || rank[0] < bestRank[0] || (rank[0] === bestRank[0] &&
+            (rank[1] < bestRank[1] || (rank[1] === bestRank[1] && domain < best)))) {
+            best = domain;
+            bestRank = rank;
+        }
+    }
+    return best;
+}
+
+module.exports = {
+    DEFAULT_NORMALIZATION,
+    normalizeDomain,
+    registrableDomain,
+    bestMatch,
+}
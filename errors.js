@@ -0,0 +1,140 @@
+"use strict";
+
+/**
+ * Base class of every error thrown by the keychain. Each subclass carries a
+ * stable `code` that callers can switch on instead of matching messages.
+ */
+class KeychainError extends Error {
+    /**
+     * @param {string} message - A human readable description
+     * @param {string} code - The stable error code of the subclass
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+/**
+ * The master password does not open the vault.
+ */
+class WrongPasswordError extends KeychainError {
+    constructor(message = "Incorrect password!") {
+        super(message, "WRONG_PASSWORD");
+    }
+}
+
+/**
+ * The serialized vault does not match the trusted SHA-256 checksum.
+ */
+class ChecksumMismatchError extends KeychainError {
+    constructor(message = "Integrity check failed!") {
+        super(message, "CHECKSUM_MISMATCH");
+    }
+}
+
+/**
+ * A stored record failed authentication or does not belong to its domain.
+ */
+class RecordTamperedError extends KeychainError {
+    constructor(message = "Record has been tampered with!") {
+        super(message, "RECORD_TAMPERED");
+    }
+}
+
+/**
+ * An argument is missing, blank or of the wrong type.
+ */
+class InvalidInputError extends KeychainError {
+    constructor(message = "Invalid input!") {
+        super(message, "INVALID_INPUT");
+    }
+}
+
+/**
+ * A value exceeds the maximum length the keychain stores.
+ */
+class ValueTooLongError extends KeychainError {
+    constructor(message = "Password is too long!") {
+        super(message, "VALUE_TOO_LONG");
+    }
+}
+
+/**
+ * The serialized vault uses a format version, KDF or cipher suite this code
+ * does not understand.
+ */
+class UnsupportedFormatError extends KeychainError {
+    /**
+     * @param {string} message - A human readable description
+     * @param {*} version - The format version found in the dump
+     */
+    constructor(message, version) {
+        super(message, "UNSUPPORTED_FORMAT");
+        this.version = version;
+    }
+}
+
+/**
+ * The serialized vault is older than the newest version the caller trusts.
+ */
+class RollbackError extends KeychainError {
+    /**
+     * @param {number} counter - The version counter found in the dump
+     * @param {number} minimum - The lowest counter the caller accepts
+     */
+    constructor(counter, minimum) {
+        super(`Vault version ${counter} is older than trusted version ${minimum}!`, "ROLLBACK");
+        this.counter = counter;
+        this.minimum = minimum;
+    }
+}
+
+/**
+ * The stored vault changed since it was loaded and the change could not be
+ * merged. conflicts lists the {domain, account} pairs changed on both sides.
+ */
+class ConflictError extends KeychainError {
+    /**
+     * @param {string} message - A human readable description
+     * @param {Array<object>} conflicts - The accounts changed on both sides
+     */
+    constructor(message = "Vault was changed by another writer!", conflicts = []) {
+        super(message, "CONFLICT");
+        this.conflicts = conflicts;
+    }
+}
+
+/**
+ * Another writer holds the lock of the storage for longer than we wait.
+ */
+class StorageBusyError extends KeychainError {
+    constructor(message = "Vault is locked by another writer!") {
+        super(message, "STORAGE_BUSY");
+    }
+}
+
+/**
+ * The keychain is locked; its keys have been dropped until it is unlocked
+ * with the master password again.
+ */
+class LockedError extends KeychainError {
+    constructor(message = "Keychain is locked!") {
+        super(message, "LOCKED");
+    }
+}
+
+module.exports = {
+    KeychainError,
+    WrongPasswordError,
+    ChecksumMismatchError,
+    RecordTamperedError,
+    InvalidInputError,
+    ValueTooLongError,
+    UnsupportedFormatError,
+    RollbackError,
+    ConflictError,
+    StorageBusyError,
+    LockedError,
+}
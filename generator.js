@@ -0,0 +1,145 @@
+"use strict";
+
+const {getRandomBytes} = require("./lib");
+const {InvalidInputError, ValueTooLongError} = require("./errors");
+const EFF_WORDS = require("diceware-wordlist-en-eff");
+
+const CHARACTER_CLASSES = {
+    lower: "abcdefghijklmnopqrstuvwxyz",
+    upper: "ABCDEFGHIJKLMNOPQRSTUVWXYZ",
+    digits: "0123456789",
+    symbols: "!\"#$%&'()*+,-./:;<=>?@[\\]^_`{|}~",
+};
+const AMBIGUOUS_CHARACTERS = "0O1Il|";
+const DEFAULT_WORD_LIST = Object.values(EFF_WORDS);
+
+/**
+ * Default generator policy. Character mode draws length characters from the
+ * enabled classes, with at least one character of each; passphrase mode
+ * (passphrase: true) joins words drawn from wordList (the EFF long list by
+ * default) with separator.
+ */
+const DEFAULT_POLICY = {
+    length: 20,
+    lower: true,
+    upper: true,
+    digits: true,
+    symbols: true,
+    excludeAmbiguous: false,
+    passphrase: false,
+    words: 6,
+    separator: "-",
+    wordList: DEFAULT_WORD_LIST,
+};
+
+function isPositiveInteger(n) {
+    return Number.isInteger(n) && n > 0;
+}
+
+/**
+ * Draws a uniformly distributed integer below n. Random 32-bit values at or
+ * above the largest multiple of n are rejected, so that no result is more
+ * likely than another.
+ * @param {number} n - The number of possible results, at most 2^32
+ * @returns {number} An integer in [0, n)
+ */
+function randomIndex(n) {
+    const limit = Math.floor(0x100000000 / n) * n;
+    while (true) {
+        const value = Buffer.from(getRandomBytes(4)).readUInt32BE(0);
+        if (value < limit) {
+            return value % n;
+        }
+    }
+}
+
+// The number of passwords containing every class is counted by inclusion and
+// exclusion over the classes left out, relative to the alphabet^length total.
+function characterEntropy(classes, length) {
+    const size = classes.reduce((total, chars) => total + chars.length, 0);
+    let fraction = 0;
+    for (let subset = 0; subset < (1 << classes.length); subset++) {
+        let missing = 0;
+        let sign = 1;
+        classes.forEach((chars, i) => {
+            if (subset & (1 << i)) {
+                missing += chars.length;
+                sign = -sign;
+            }
+        });
+        fraction += sign * Math.pow((size - missing) / size, length);
+    }
+    return length * Math.log2(size) + Math.log2(fraction);
+}
+
+function generateCharacters(policy, maxLength) {
+    if (!isPositiveInteger(policy.length)) {
+        throw new InvalidInputError();
+    }
+    if (policy.length > maxLength) {
+        throw new ValueTooLongError();
+    }
+    const classes = Object.keys(CHARACTER_CLASSES)
+        .filter((name) => policy[name])
+        .map((name) => [...CHARACTER_CLASSES[name]]
+            .filter((c) => !policy.excludeAmbiguous || !AMBIGUOUS_CHARACTERS.includes(c))
+            .join(""));
+    if (classes.length === 0 || policy.length < classes.length) {
+        throw new InvalidInputError();
+    }
+    const alphabet = classes.join("");
+    // Redrawing whole passwords until every class is present keeps the
+    // result uniform over the passwords the policy allows
+    let password;
+    do {
+        password = "";
+        for (let i = 0; i < policy.length; i++) {
+            password += alphabet[randomIndex(alphabet.length)];
+        }
+    } while (!classes.every((chars) => [...password].some((c) => chars.includes(c))));
+    return {password: password, entropy: characterEntropy(classes, policy.length)};
+}
+
+function generatePassphrase(policy, maxLength) {
+    const wordList = policy.wordList;
+    if (!isPositiveInteger(policy.words) || typeof policy.separator !== "string" ||
+        !Array.isArray(wordList) || wordList.length < 2 || new Set(wordList).size !== wordList.length ||
+        !wordList.every((word) => typeof word === "string" && word !== "")) {
+        throw new InvalidInputError();
+    }
+    // Every passphrase the policy allows has to fit, not just the one drawn
+    const longest = Math.max(...wordList.map((word) => word.length));
+    if (policy.words * longest + (policy.words - 1) * policy.separator.length > maxLength) {
+        throw new ValueTooLongError();
+    }
+    const words = [];
+    for (let i = 0; i < policy.words; i++) {
+        words.push(wordList[randomIndex(wordList.length)]);
+    }
+    return {password: words.join(policy.separator), entropy: policy.words * Math.log2(wordList.length)};
+}
+
+/**
+ * Generates a random password following a policy (see DEFAULT_POLICY, whose
+ * values fill in anything the policy leaves out). The entropy estimate is the
+ * base-2 logarithm of the number of passwords the policy can produce, each of
+ * which is equally likely.
+ * @param {object} policy - The generator policy
+ * @param {number} maxLength - The longest password that may be produced
+ * @returns {{password: string, entropy: number}} The password and its entropy in bits
+ */
+function generatePassword(policy, maxLength) {
+    if (policy !== undefined && (policy === null || typeof policy !== "object" || Array.isArray(policy))) {
+        throw new InvalidInputError();
+    }
+    const resolved = {...DEFAULT_POLICY, ...policy};
+    return resolved.passphrase ? generatePassphrase(resolved, maxLength) : generateCharacters(resolved, maxLength);
+}
+
+module.exports = {
+    CHARACTER_CLASSES,
+    AMBIGUOUS_CHARACTERS,
+    DEFAULT_POLICY,
+    randomIndex,
+    generatePassword,
+}
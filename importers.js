@@ -0,0 +1,199 @@
+"use strict";
+
+const {XMLParser} = require("fast-xml-parser");
+const {InvalidInputError} = require("./errors");
+
+// Sentinel reason of export entries that hold something other than a login
+const NOT_A_LOGIN = "NOT_A_LOGIN";
+
+/**
+ * Splits CSV text (RFC 4180: quoted fields may hold commas, line breaks and
+ * doubled quotes) into rows of fields. Blank lines are dropped.
+ * @param {string} text - The CSV text
+ * @returns {Array<Array<string>>} The rows
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    text = text.replace(/^\uFEFF/, ""); // byte order mark
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"' && field === "") {
+            quoted = true;
+        } else if (c === ",") {
+            row.push(field);
+            field = "";
+        } else if (c === "\r" || c === "\n") {
+            if (c === "\r" && text[i + 1] === "\n") {
+                i += 1;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += c;
+        }
+    }
+    if (quoted) {
+        throw new InvalidInputError("Unterminated quoted CSV field!");
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter((fields) => fields.length > 1 || fields[0] !== "");
+}
+
+// Chrome exports name,url,username,password,note and Firefox url,username,
+// password,httpRealm,formActionOrigin,guid and timestamps; both are read by
+// column name, so the order and any extra columns do not matter.
+function readBrowserCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    const columns = (header || []).map((column) => column.trim().toLowerCase());
+    if (!["url", "username", "password"].every((column) => columns.includes(column))) {
+        throw new InvalidInputError("Not a browser password export!");
+    }
+    return rows.map((fields, i) => {
+        const value = (column) => columns.includes(column) ? fields[columns.indexOf(column)] || "" : "";
+        return {
+            row: i + 1,
+            name: value("name"),
+            fields: {
+                username: value("username"),
+                password: value("password"),
+                url: value("url"),
+                notes: value("note") || value("notes"),
+            },
+        };
+    });
+}
+
+// Bitwarden's unencrypted JSON export lists every vault item; only login
+// items (type 1) carry credentials, and possibly a TOTP secret.
+function readBitwarden(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new InvalidInputError("Not a Bitwarden export!");
+    }
+    if (data && data.encrypted) {
+        throw new InvalidInputError("Encrypted Bitwarden exports are not supported!");
+    }
+    if (!data || !Array.isArray(data.items)) {
+        throw new InvalidInputError("Not a Bitwarden export!");
+    }
+    return data.items.map((item, i) => {
+        if (!item || item.type !== 1 || !item.login) {
+            return {row: i + 1, skip: NOT_A_LOGIN};
+        }
+        const uri = (item.login.uris || []).find((entry) => entry && entry.uri);
+        const fields = {
+            username: item.login.username || "",
+            password: item.login.password || "",
+            url: uri ? uri.uri : "",
+            notes: item.notes || "",
+        };
+        if (item.login.totp) {
+            fields.totp = item.login.totp;
+        }
+        return {row: i + 1, name: item.name || "", fields: fields};
+    });
+}
+
+function keePassValue(value) {
+    if (value === undefined || value === null) {
+        return "";
+    }
+    return typeof value === "object" ? value["#text"] || "" : String(value);
+}
+
+// Entries are collected from every group, depth first; the previous versions
+// KeePass keeps under an entry's <History> are not imported.
+function keePassEntries(group, entries) {
+    for (const entry of group.Entry || []) {
+        const strings = {};
+        for (const string of entry.String || []) {
+            strings[keePassValue(string.Key)] = keePassValue(string.Value);
+        }
+        entries.push(strings);
+    }
+    for (const child of group.Group || []) {
+        keePassEntries(child, entries);
+    }
+    return entries;
+}
+
+// KeePass 2 exports an unencrypted <KeePassFile> document with the standard
+// Title, UserName, Password, URL and Notes strings of every entry.
+function readKeePass(text) {
+    const parser = new XMLParser({
+        ignoreAttributes: false,
+        parseTagValue: false,
+        trimValues: false,
+        isArray: (name) => ["Group", "Entry", "String"].includes(name),
+    });
+    let document;
+    try {
+        document = parser.parse(text, true);
+    } catch (e) {
+        throw new InvalidInputError("Not a KeePass XML export!");
+    }
+    if (!document.KeePassFile || !document.KeePassFile.Root) {
+        throw new InvalidInputError("Not a KeePass XML export!");
+    }
+    const entries = keePassEntries(document.KeePassFile.Root, []);
+    return entries.map((strings, i) => ({
+        row: i + 1,
+        name: strings.Title || "",
+        fields: {
+            username: strings.UserName || "",
+            password: strings.Password || "",
+            url: strings.URL || "",
+            notes: strings.Notes || "",
+        },
+    }));
+}
+
+const IMPORT_FORMATS = {
+    chrome: readBrowserCsv,
+    firefox: readBrowserCsv,
+    bitwarden: readBitwarden,
+    keepass: readKeePass,
+};
+
+/**
+ * Reads the entries of a password export. Every entry becomes {row, name,
+ * fields: {username, password, url, notes}} (plus totp if the export has a
+ * TOTP secret for it), where row is its 1-based position
+ * among the entries of the export; entries that hold no login (such as
+ * Bitwarden cards or notes) become {row, skip: "NOT_A_LOGIN"}.
+ * @param {string} text - The contents of the export
+ * @param {string} format - One of the keys of IMPORT_FORMATS
+ * @returns {Array<object>} The entries in the order of the export
+ */
+function readExport(text, format) {
+    if (typeof text !== "string" || !Object.prototype.hasOwnProperty.call(IMPORT_FORMATS, format)) {
+        throw new InvalidInputError();
+    }
+    return IMPORT_FORMATS[format](text);
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    NOT_A_LOGIN,
+    parseCsv,
+    readExport,
+}
@@ -3,55 +3,575 @@
 /********* External Imports ********/
 
 const {stringToBuffer, bufferToString, encodeBuffer, decodeBuffer, getRandomBytes} = require("./lib");
-const {init} = require("mocha/lib/cli/commands");
+const {
+    KeychainError,
+    WrongPasswordError,
+    ChecksumMismatchError,
+    RecordTamperedError,
+    InvalidInputError,
+    ValueTooLongError,
+    UnsupportedFormatError,
+    RollbackError,
+    ConflictError,
+    StorageBusyError,
+    LockedError,
+} = require("./errors");
+const {DEFAULT_NORMALIZATION, normalizeDomain, bestMatch} = require("./domains");
+const generator = require("./generator");
+const {DEFAULT_AUDIT, rateStrength} = require("./audit");
+const {breachHash, countBreaches} = require("./breaches");
+const {readExport} = require("./importers");
+const {parseTotp, totpCode} = require("./totp");
+const {MemoryStorage, FileStorage} = require("./storage");
 const {subtle} = require('crypto').webcrypto;
+const {scrypt, timingSafeEqual} = require('crypto');
 
 /********* Constants ********/
 
 const PBKDF2_ITERATIONS = 100000; // number of iterations for PBKDF2 algorithm
+const PBKDF2_HASHES = ["SHA-256", "SHA-384", "SHA-512"]; // hashes accepted for PBKDF2
+const PBKDF2_MAX_ITERATIONS = 10000000;                   // most PBKDF2 iterations a vault or bundle may ask for
+const SCRYPT_PARAMS = {N: 32768, r: 8, p: 1};             // default scrypt cost parameters
+const SCRYPT_MAX_PARAMS = {N: 2 ** 20, r: 32, p: 16};     // largest scrypt cost parameters accepted
+const SCRYPT_MAX_MEMORY = 2 ** 30;                        // most memory (128 * N * r bytes) scrypt may ask for
 const MAX_PASSWORD_LENGTH = 64;   // we can assume no password is longer than this many characters
+const MAX_DOMAIN_LENGTH = 253;    // longest DNS name, in characters
+const DEFAULT_ACCOUNT = "default"; // account used when a method is not given one
+const HISTORY_DEPTH = 10;         // default number of previous passwords kept per account
+const CONFLICT_POLICIES = ["skip", "overwrite"]; // what an import does with accounts that already exist
+const BUNDLE_CONFLICT_POLICIES = [...CONFLICT_POLICIES, "newer"]; // bundles carry timestamps to compare
+const SAVE_CONFLICT_POLICIES = ["merge", "fail", "overwrite"]; // what save does when another writer changed the vault
+const TAG_KEY_LABEL = "domain-tag";         // HMAC label for the domain lookup sub-key
+const VALUE_KEY_LABEL = "value-encryption"; // HMAC label for the record encryption sub-key
+const PAD_BLOCK_SIZE = 8 * MAX_PASSWORD_LENGTH; // plaintexts are padded to a multiple of this many bytes
+const PAD_LENGTH_BYTES = 4;                     // size of the length prefix in a padded plaintext
+const CHECK_LABEL = "password-check";       // HMAC label for the password check of bundles and older vaults
+const VAULT_CHECK_LABEL = "vault-password-check/v11"; // HMAC label for the password check of version 11 vaults
+const MAC_KEY_LABEL = "vault-mac";          // HMAC label for the sub-key authenticating a dump
+const VERIFIER_AD = "password-verifier";    // additional data of the version 2 password verifier
+const INDEX_AD = "domain-index";            // additional data binding the encrypted domain index
+const IDENTITY_AD = "identity";             // additional data binding the encrypted sharing key pairs
+const FORMAT_VERSION = 11;                    // version of the dump format written by dump()
+const CIPHER_SUITE = "HMAC-SHA256/AES-256-GCM"; // domain tag MAC / record cipher used by this format
+const BUNDLE_TYPE = "keychain-bundle";        // type field of the files written by exportBundle
+const BUNDLE_VERSION = 1;                     // version of the bundle format
+const SHARE_TYPE = "keychain-share";          // type field of the files written by shareEntries
+const SHARE_VERSION = 1;                      // version of the share format
+const SHARE_INFO = "keychain-share";          // HKDF info of the share encryption key
+const SIGNATURE_ALGORITHM = {name: "ECDSA", hash: "SHA-256"};
+
 
 /********* Helper Functions ********/
-async function generateKey(password, salt) {
+function defaultKdf() {
+    return {name: "PBKDF2", params: {hash: "SHA-256", iterations: PBKDF2_ITERATIONS}};
+}
+
+// Builds a KDF description from the {kdf, params} options accepted by init
+// and upgradeKdf, filling in defaults for anything left out.
+function resolveKdf(options = {}) {
+    const name = options.kdf || "PBKDF2";
+    if (name === "scrypt") {
+        return {name: name, params: {...SCRYPT_PARAMS, ...options.params}};
+    }
+    return {name: name, params: {...defaultKdf().params, ...options.params}};
+}
+
+function isNonBlankString(s) {
+    return typeof s === "string" && s.trim() !== "";
+}
+
+function isPositiveInteger(n) {
+    return Number.isInteger(n) && n > 0;
+}
+
+// The KDF of a vault or bundle may come from someone else, so its cost is
+// bounded: a hostile file must not keep the process busy or exhaust memory
+function isSupportedKdf(kdf) {
+    const params = kdf.params || {};
+    if (kdf.name === "PBKDF2") {
+        return PBKDF2_HASHES.includes(params.hash) && isPositiveInteger(params.iterations) &&
+            params.iterations <= PBKDF2_MAX_ITERATIONS;
+    }
+    if (kdf.name === "scrypt") {
+        // N must be a power of two greater than one
+        return isPositiveInteger(params.N) && params.N > 1 && (params.N & (params.N - 1)) === 0 &&
+            isPositiveInteger(params.r) && isPositiveInteger(params.p) &&
+            params.N <= SCRYPT_MAX_PARAMS.N && params.r <= SCRYPT_MAX_PARAMS.r && params.p <= SCRYPT_MAX_PARAMS.p &&
+            128 * params.N * params.r <= SCRYPT_MAX_MEMORY;
+    }
+    return false;
+}
+
+function scryptBits(password, salt, params) {
+    const options = {N: params.N, r: params.r, p: params.p, maxmem: 256 * params.r * (params.N + params.p)};
+    return new Promise((resolve, reject) => {
+        // Parameters the platform cannot run (out of memory, say) fail here
+        const fail = (e) => reject(new UnsupportedFormatError(`Unsupported scrypt parameters: ${e.message}`, null));
+        try {
+            scrypt(stringToBuffer(password), salt, 32, options, (err, bits) => err ? fail(err) : resolve(bits));
+        } catch (e) {
+            fail(e);
+        }
+    });
+}
+
+async function pbkdf2Bits(password, salt, params) {
     let keyMaterial = await subtle.importKey(
         "raw",
         stringToBuffer(password),
         {name: "PBKDF2"},
         false,
-        ["deriveKey"]
+        ["deriveBits"]
     );
-    return await subtle.deriveKey(
+    return await subtle.deriveBits(
         {
             "name": "PBKDF2",
             salt: salt,
-            iterations: PBKDF2_ITERATIONS,
-            hash: "SHA-256"
+            iterations: params.iterations,
+            hash: params.hash
         },
         keyMaterial,
-        {"name": "AES-GCM", "length": 256},
-        true,
-        ["encrypt", "decrypt"]
+        256
     );
 }
 
+// Overwrites raw key material once it has been imported into a CryptoKey,
+// so the only copy left is the non-extractable key
+function wipe(bits) {
+    (ArrayBuffer.isView(bits) ? bits : new Uint8Array(bits)).fill(0);
+}
+
+async function generateKey(password, salt, kdf) {
+    let bits = kdf.name === "scrypt"
+        ? await scryptBits(password, salt, kdf.params)
+        : await pbkdf2Bits(password, salt, kdf.params);
+    // The master key is only ever used to derive the sub-keys below
+    try {
+        return await subtle.importKey(
+            "raw",
+            bits,
+            {name: "HMAC", hash: "SHA-256"},
+            false,
+            ["sign"]
+        );
+    } finally {
+        wipe(bits);
+    }
+}
+
+async function deriveSubKeys(masterKey) {
+    // Each sub-key is HMAC(master, label), so the domain tags and the record
+    // encryption never share key material. The password check values are
+    // derived the same way, so they reveal nothing about the other keys.
+    let tagBits = await subtle.sign("HMAC", masterKey, stringToBuffer(TAG_KEY_LABEL));
+    let valueBits = await subtle.sign("HMAC", masterKey, stringToBuffer(VALUE_KEY_LABEL));
+    let checkBits = await subtle.sign("HMAC", masterKey, stringToBuffer(CHECK_LABEL));
+    let vaultCheckBits = await subtle.sign("HMAC", masterKey, stringToBuffer(VAULT_CHECK_LABEL));
+    let macBits = await subtle.sign("HMAC", masterKey, stringToBuffer(MAC_KEY_LABEL));
+    try {
+        return {
+            check: encodeBuffer(checkBits),
+            vaultCheck: encodeBuffer(vaultCheckBits),
+            macKey: await subtle.importKey(
+                "raw",
+                macBits,
+                {name: "HMAC", hash: "SHA-256"},
+                false,
+                ["sign"]
+            ),
+            tagKey: await subtle.importKey(
+                "raw",
+                tagBits,
+                {name: "HMAC", hash: "SHA-256"},
+                false,
+                ["sign"]
+            ),
+            valueKey: await subtle.importKey(
+                "raw",
+                valueBits,
+                {name: "AES-GCM"},
+                false,
+                ["encrypt", "decrypt"]
+            ),
+        };
+    } finally {
+        [tagBits, valueBits, checkBits, vaultCheckBits, macBits].forEach(wipe);
+    }
+}
+
+async function deriveKeys(password, salt, kdf) {
+    return await deriveSubKeys(await generateKey(password, salt, kdf));
+}
+
+function checksMatch(a, b) {
+    a = decodeBuffer(a);
+    b = decodeBuffer(b);
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Authenticates everything in a dump except the MAC itself, which ties the
+// version counter to the exact contents it was written with
+async function vaultMac(jsonRepr, macKey) {
+    const {mac, ...contents} = jsonRepr;
+    return encodeBuffer(await subtle.sign("HMAC", macKey, stringToBuffer(JSON.stringify(contents))));
+}
+
+async function domainTag(name, tagKey) {
+    return encodeBuffer(await subtle.sign("HMAC", tagKey, stringToBuffer(name)));
+}
+
+// Padded plaintexts are a big-endian length prefix, the data and zero bytes
+// up to a whole number of blocks, and to at least minimum bytes of data.
+// Records are padded to recordMinimum, so every ordinary record encrypts to
+// the same size however long its password is and however often it was
+// changed. Unpadding only trusts the prefix, which means PAD_BLOCK_SIZE and
+// the minimum can be raised without breaking existing vaults.
+function pad(data, minimum = 0) {
+    const length = Math.max(data.length, minimum);
+    const blocks = Math.max(1, Math.ceil((PAD_LENGTH_BYTES + length) / PAD_BLOCK_SIZE));
+    const padded = Buffer.alloc(blocks * PAD_BLOCK_SIZE);
+    padded.writeUInt32BE(data.length, 0);
+    padded.set(data, PAD_LENGTH_BYTES);
+    return padded;
+}
+
+function unpad(padded) {
+    padded = Buffer.from(padded);
+    if (padded.length < PAD_LENGTH_BYTES) {
+        throw new Error("Invalid padding");
+    }
+    const length = padded.readUInt32BE(0);
+    const end = PAD_LENGTH_BYTES + length;
+    if (end > padded.length || padded.subarray(end).some((byte) => byte !== 0)) {
+        throw new Error("Invalid padding");
+    }
+    return padded.subarray(PAD_LENGTH_BYTES, end);
+}
 
-async function encrypt(data, key, iv) {
-    // Encrypt the data using AES-GCM
-    const encryptedData = await subtle.encrypt(
+// The additional data binds a ciphertext to the slot it is stored in (the
+// domain tag for records), so moving it anywhere else fails authentication.
+async function encryptRecord(data, key, additionalData, minimum) {
+    // Every record gets its own IV, stored next to the ciphertext
+    const iv = getRandomBytes(12);
+    const ct = await subtle.encrypt(
         {
             name: "AES-GCM",
-            iv: iv
+            iv: iv,
+            additionalData: stringToBuffer(additionalData)
         },
         key,
-        stringToBuffer(data)
+        pad(stringToBuffer(data), minimum)
     );
+    return {iv: encodeBuffer(iv), ct: encodeBuffer(ct)};
+}
+
+async function decryptRecord(record, key, additionalData) {
+    const data = await subtle.decrypt(
+        {
+            name: "AES-GCM",
+            iv: decodeBuffer(record.iv),
+            additionalData: stringToBuffer(additionalData)
+        },
+        key,
+        decodeBuffer(record.ct)
+    );
+    return bufferToString(unpad(data));
+}
+
+// The domain index lists every domain in the vault, so it can be enumerated
+// without decrypting each record. It is encrypted like a record, but only
+// padded to whole blocks.
+async function encryptIndex(domains, valueKey) {
+    return await encryptRecord(JSON.stringify([...domains]), valueKey, INDEX_AD);
+}
+
+async function decryptIndex(index, valueKey) {
+    return JSON.parse(await decryptRecord(index, valueKey, INDEX_AD));
+}
+
+// The lookup tag is a one-way HMAC, so the domain travels inside the
+// encrypted payload as well; that is what lets a vault be re-encrypted.
+function encodePayload(name, accounts) {
+    return JSON.stringify({domain: name, accounts: accounts});
+}
+
+// The size of the largest ordinary payload: the longest domain with one
+// default account, whose password and full history of historyDepth previous
+// passwords are of maximum length and need JSON escaping throughout
+function recordMinimum(historyDepth) {
+    const password = "\u0001".repeat(MAX_PASSWORD_LENGTH);
+    const time = Number.MAX_SAFE_INTEGER;
+    const history = Array.from({length: historyDepth}, () => ({password: password, modified: time, replaced: time}));
+    const record = {...emptyRecord(), password: password, created: time, modified: time, passwordChanged: time, history: history};
+    return stringToBuffer(encodePayload("x".repeat(MAX_DOMAIN_LENGTH), {[DEFAULT_ACCOUNT]: record})).length;
+}
+
+function decodePayload(payload) {
+    payload = JSON.parse(payload);
+    if (payload.accounts !== undefined) {
+        return payload;
+    }
+    // Payloads written before version 7 held a single record, and those
+    // written before version 6 only a password
+    const record = payload.record !== undefined ? payload.record : {...emptyRecord(), password: payload.value};
+    return {domain: payload.domain, accounts: {[DEFAULT_ACCOUNT]: record}};
+}
+
+/********* Credential Records ********/
+const RECORD_STRING_FIELDS = ["username", "password", "url", "notes"];
+
+function emptyRecord() {
+    return {username: "", password: "", url: "", notes: "", tags: [], created: null, modified: null};
+}
+
+// Checks the caller-supplied fields of a record and fills in the defaults of
+// the ones left out. Timestamps are managed by the keychain and not accepted.
+// The optional TOTP secret is only present in records that have one.
+function validateRecord(fields) {
+    if (fields === null || typeof fields !== "object" || Array.isArray(fields)) {
+        throw new InvalidInputError();
+    }
+    const record = {};
+    for (const [field, value] of Object.entries(fields)) {
+        if (RECORD_STRING_FIELDS.includes(field)) {
+            if (typeof value !== "string") {
+                throw new InvalidInputError();
+            }
+        } else if (field === "tags") {
+            if (!Array.isArray(value) || !value.every(isNonBlankString)) {
+                throw new InvalidInputError();
+            }
+        } else if (field === "totp") {
+            record[field] = parseTotp(value);
+            continue;
+        } else {
+            throw new InvalidInputError(`Unknown record field ${field}!`);
+        }
+        record[field] = value;
+    }
+    // name and password should not whitespace only
+    if (!isNonBlankString(record.password)) {
+        throw new InvalidInputError();
+    }
+    if (record.password.length > MAX_PASSWORD_LENGTH) {
+        throw new ValueTooLongError();
+    }
+    const {created, modified, ...defaults} = emptyRecord();
+    return {...defaults, ...record, tags: [...(record.tags || [])]};
+}
+
+function isHistoryDepth(n) {
+    return Number.isInteger(n) && n >= 0;
+}
+
+// The history of an account is stored inside its record, so it is encrypted
+// and bound to the domain along with it, but only getHistory exposes it
+function withoutHistory(record) {
+    const {history, ...rest} = record;
+    return rest;
+}
+
+// The fields of a stored record a caller can set, i.e. everything but the
+// timestamps and history the keychain manages
+function recordFields(record) {
+    const {created, modified, passwordChanged, history, ...fields} = record;
+    return fields;
+}
+
+// When the password of a record was last set. Records stored before this was
+// tracked fall back to when their newest history entry was replaced, or else
+// to their creation.
+function passwordChanged(record) {
+    if (record.passwordChanged !== undefined) {
+        return record.passwordChanged;
+    }
+    if (record.history && record.history.length > 0) {
+        return record.history[0].replaced;
+    }
+    return record.created;
+}
+
+// All accounts of a domain are stored together in one KVS entry, as an
+// object mapping account names to records.
+async function readAccounts(keychain, name) {
+    const tag = await domainTag(name, keychain.secrets.tagKey);
+    if (!keychain.kvs[tag]) {
+        return null;
+    }
+    let payload;
+    try {
+        payload = decodePayload(await decryptRecord(keychain.kvs[tag], keychain.secrets.valueKey, tag));
+    } catch (e) {
+        throw new RecordTamperedError();
+    }
+    if (payload.domain !== name) {
+        throw new RecordTamperedError();
+    }
+    return payload.accounts;
+}
+
+// Writing a domain without accounts removes its entry
+async function writeAccounts(keychain, name, accounts) {
+    const tag = await domainTag(name, keychain.secrets.tagKey);
+    if (Object.keys(accounts).length === 0) {
+        keychain.secrets.domains.delete(name);
+        delete keychain.kvs[tag];
+        return;
+    }
+    const record = await encryptRecord(encodePayload(name, accounts), keychain.secrets.valueKey, tag,
+        recordMinimum(keychain.data.historyDepth));
+    // The index goes first: if the keychain started locking meanwhile, this
+    // throws before the records drift from the dump it is locked with
+    keychain.secrets.domains.add(name);
+    keychain.kvs[tag] = record;
+}
+
+async function readRecord(keychain, name, account) {
+    const accounts = await readAccounts(keychain, name);
+    return accounts && Object.prototype.hasOwnProperty.call(accounts, account) ? accounts[account] : null;
+}
+
+// Validates fields and stores them as the record of one account, keeping the
+// creation time of the record it replaces, and the time its password was last
+// changed if it stays the same. A replaced password is moved to the
+// front of the account's history (history, if given, replaces the stored one
+// first), which is then cut to the keychain's history depth.
+async function storeRecord(keychain, name, fields, account, history) {
+    const record = validateRecord(fields);
+    const accounts = await readAccounts(keychain, name) || {};
+    const existing = Object.prototype.hasOwnProperty.call(accounts, account) ? accounts[account] : null;
+    const now = Date.now();
+    record.created = existing && existing.created !== null ? existing.created : now;
+    record.modified = now;
+    record.passwordChanged = existing && existing.password === record.password ? passwordChanged(existing) : now;
+    const previous = history || (existing && existing.history) || [];
+    if (existing && existing.password !== record.password) {
+        record.history = [{password: existing.password, modified: existing.modified, replaced: now}, ...previous];
+    } else {
+        record.history = [...previous];
+    }
+    record.history = record.history.slice(0, keychain.data.historyDepth);
+    await writeAccounts(keychain, name, {...accounts, [account]: record});
+}
+
+// Every name passed to a Keychain method goes through the vault's domain
+// normalization, so URLs and differently written names find the same entry.
+// A name that normalizes to nothing (such as "/login") names no entry.
+function domainName(keychain, name) {
+    if (typeof name !== "string") {
+        throw new InvalidInputError();
+    }
+    const normalized = normalizeDomain(name, keychain.data.normalization);
+    if (normalized === "") {
+        throw new InvalidInputError();
+    }
+    return normalized;
+}
+
+function resolveNormalization(settings = {}) {
+    const normalization = {...DEFAULT_NORMALIZATION, ...settings};
+    for (const [key, value] of Object.entries(normalization)) {
+        if (!(key in DEFAULT_NORMALIZATION) || typeof value !== "boolean") {
+            throw new InvalidInputError();
+        }
+    }
+    return normalization;
+}
+
+// The idle timeout of the init and load options, in milliseconds, or null
+function resolveIdleTimeout(options) {
+    const idleTimeout = options && options.idleTimeout;
+    if (idleTimeout === undefined || idleTimeout === null) {
+        return null;
+    }
+    if (!isPositiveInteger(idleTimeout)) {
+        throw new InvalidInputError();
+    }
+    return idleTimeout;
+}
+
+// Starts the idle timeout over; called on every use of the keys
+function restartIdleTimer(keychain) {
+    clearTimeout(keychain.idleTimer);
+    keychain.idleTimer = null;
+    if (keychain.idleTimeout !== null && keychain.sealed === null) {
+        keychain.idleTimer = setTimeout(() => keychain.lock().catch(() => undefined), keychain.idleTimeout);
+        keychain.idleTimer.unref();
+    }
+}
 
-    return encodeBuffer(encryptedData);
+// Dumps the keychain one last time and drops its keys and decrypted domain
+// names, leaving that dump as all the keychain holds while it is locked.
+// serialize takes its snapshot before its first await, and lock marks the
+// keychain as locking as soon as this returns its promise, so from the
+// snapshot on every use of the keys throws and no write can slip past it.
+async function seal(keychain) {
+    keychain.data.counter += 1;
+    const sealed = JSON.stringify(await serialize(keychain));
+    const secrets = keychain.unlockedSecrets;
+    keychain.sealed = sealed;
+    keychain.unlockedSecrets = null;
+    secrets.domains.clear();
+    secrets.identity = null;
+    restartIdleTimer(keychain);
+}
+
+function resolveAudit(options = {}) {
+    const settings = {...DEFAULT_AUDIT, now: Date.now(), ...options};
+    for (const [key, value] of Object.entries(settings)) {
+        if ((!(key in DEFAULT_AUDIT) && key !== "now") || typeof value !== "number" || !(value >= 0)) {
+            throw new InvalidInputError();
+        }
+    }
+    return settings;
+}
 
+/**
+ * Generates a random password that fits in the keychain. policy selects the
+ * length and character classes ({length, lower, upper, digits, symbols,
+ * excludeAmbiguous}) or, with passphrase: true, a word-list passphrase
+ * ({words, separator, wordList}); see generator.DEFAULT_POLICY. Policies that
+ * could produce a password longer than MAX_PASSWORD_LENGTH throw
+ * ValueTooLongError. Returns the password with an entropy estimate in bits.
+ *
+ * Arguments:
+ *   policy: object (optional)
+ * Return Type: object
+ */
+function generatePassword(policy) {
+    return generator.generatePassword(policy, MAX_PASSWORD_LENGTH);
 }
 
-async function decrypt(data, key, iv) {
-    // Decrypt the data using AES-GCM
+async function checksum(repr) {
+    return encodeBuffer(await subtle.digest('SHA-256', stringToBuffer(repr)));
+}
+
+/********* Legacy Format ********/
+// Vaults written before per-record IVs used a single AES-GCM key derived
+// directly from PBKDF2 and one shared IV for every domain and value.
+async function generateLegacyKey(password, salt) {
+    let keyMaterial = await subtle.importKey(
+        "raw",
+        stringToBuffer(password),
+        {name: "PBKDF2"},
+        false,
+        ["deriveKey"]
+    );
+    return await subtle.deriveKey(
+        {
+            "name": "PBKDF2",
+            salt: salt,
+            iterations: PBKDF2_ITERATIONS,
+            hash: "SHA-256"
+        },
+        keyMaterial,
+        {"name": "AES-GCM", "length": 256},
+        false,
+        ["encrypt", "decrypt"]
+    );
+}
+
+async function decryptLegacy(data, key, iv) {
     const decryptedData = await subtle.decrypt(
         {
             name: "AES-GCM",
@@ -62,7 +582,635 @@ async function decrypt(data, key, iv) {
     );
 
     return bufferToString(decryptedData);
+}
+
+// The legacy checksum hashed the Base64 decoding of the JSON text, which
+// silently drops most of the repr; it is only accepted for legacy vaults.
+async function legacyChecksum(repr) {
+    return encodeBuffer(await subtle.digest('SHA-256', decodeBuffer(repr)));
+}
+
+async function migrateLegacy(password, jsonRepr) {
+    // The legacy KVS keys are AES-GCM encryptions of the domain names, so the
+    // domains can be recovered and every record re-inserted with set
+    let iv = decodeBuffer(jsonRepr.secrets.iv);
+    let salt = decodeBuffer(jsonRepr.secrets.salt);
+    let legacyKey = await generateLegacyKey(password, salt);
+
+    let pass;
+    try {
+        pass = await decryptLegacy(jsonRepr.secrets.encKey, legacyKey, iv);
+    } catch (e) {
+        throw new WrongPasswordError();
+    }
+    if (pass !== password) {
+        throw new WrongPasswordError();
+    }
+
+    const keychain = await Keychain.init(password);
+    for (const [encName, encValue] of Object.entries(jsonRepr.kvs)) {
+        let name, value;
+        try {
+            name = await decryptLegacy(encName, legacyKey, iv);
+            value = await decryptLegacy(encValue, legacyKey, iv);
+        } catch (e) {
+            throw new RecordTamperedError();
+        }
+        await keychain.set(name, value);
+    }
+    return await serialize(keychain);
+}
+
+/********* Format Versions ********/
+// Dumps written before the version field existed are the legacy format.
+function formatVersion(jsonRepr) {
+    return jsonRepr.version === undefined ? 1 : jsonRepr.version;
+}
+
+// Version 2 verified the password by storing it encrypted under the record
+// key; version 3 replaces that with an HMAC check value. Records are kept.
+async function migrateVerifier(password, jsonRepr) {
+    let salt = decodeBuffer(jsonRepr.secrets.salt);
+    let {valueKey, check} = await deriveKeys(password, salt, jsonRepr.kdf);
+
+    let pass;
+    try {
+        pass = await decryptRecord(jsonRepr.secrets.encKey, valueKey, VERIFIER_AD);
+    } catch (e) {
+        throw new WrongPasswordError();
+    }
+    if (pass !== password) {
+        throw new WrongPasswordError();
+    }
+    return {
+        ...jsonRepr,
+        version: 3,
+        secrets: {
+            check: check,
+            salt: jsonRepr.secrets.salt,
+        },
+    };
+}
+
+// Version 4 added the authenticated version counter. Older vaults start at
+// counter 0, so any minimum trusted counter above that rejects them.
+async function migrateCounter(password, jsonRepr) {
+    return {...jsonRepr, version: 4, counter: 0};
+}
+
+// Versions 3 to 10 store the password check under CHECK_LABEL. A vault
+// carrying the check of a later version was relabelled to skip the MAC.
+function verifyOlderCheck(keys, jsonRepr) {
+    if (checksMatch(keys.vaultCheck, jsonRepr.secrets.check)) {
+        throw new RecordTamperedError("Vault has been relabelled with an older format version!");
+    }
+    if (!checksMatch(keys.check, jsonRepr.secrets.check)) {
+        throw new WrongPasswordError();
+    }
+}
+
+// Version 5 added the encrypted domain index, rebuilt here from the domains
+// stored inside the records.
+async function migrateIndex(password, jsonRepr) {
+    let keys = await deriveKeys(password, decodeBuffer(jsonRepr.secrets.salt), jsonRepr.kdf);
+    verifyOlderCheck(keys, jsonRepr);
+    const domains = [];
+    for (const [tag, record] of Object.entries(jsonRepr.kvs)) {
+        try {
+            domains.push(decodePayload(await decryptRecord(record, keys.valueKey, tag)).domain);
+        } catch (e) {
+            throw new RecordTamperedError();
+        }
+    }
+    return {...jsonRepr, version: 5, index: await encryptIndex(domains, keys.valueKey)};
+}
+
+// Version 6 stores structured records. Older password-only payloads are
+// still read by decodePayload and rewritten as records when re-encrypted.
+async function migrateRecords(password, jsonRepr) {
+    return {...jsonRepr, version: 6};
+}
+
+// Version 7 stores several named accounts per domain. Single-record payloads
+// are read by decodePayload as the default account.
+async function migrateAccounts(password, jsonRepr) {
+    return {...jsonRepr, version: 7};
+}
+
+// Version 8 normalizes domain names. Every record is moved to the tag of its
+// normalized name; entries whose names collide are merged, keeping the most
+// recently modified record of an account that appears in both.
+async function migrateDomains(password, jsonRepr) {
+    let keys = await deriveKeys(password, decodeBuffer(jsonRepr.secrets.salt), jsonRepr.kdf);
+    verifyOlderCheck(keys, jsonRepr);
+    const entries = new Map();
+    for (const [tag, record] of Object.entries(jsonRepr.kvs)) {
+        let payload;
+        try {
+            payload = decodePayload(await decryptRecord(record, keys.valueKey, tag));
+        } catch (e) {
+            throw new RecordTamperedError();
+        }
+        const name = normalizeDomain(payload.domain, DEFAULT_NORMALIZATION);
+        const accounts = entries.get(name) || {};
+        for (const [account, entry] of Object.entries(payload.accounts)) {
+            const other = accounts[account];
+            if (!other || other.modified === null || (entry.modified !== null && entry.modified > other.modified)) {
+                accounts[account] = entry;
+            }
+        }
+        entries.set(name, accounts);
+    }
+    const kvs = {};
+    for (const [name, accounts] of entries) {
+        const tag = await domainTag(name, keys.tagKey);
+        kvs[tag] = await encryptRecord(encodePayload(name, accounts), keys.valueKey, tag, recordMinimum(HISTORY_DEPTH));
+    }
+    return {
+        ...jsonRepr,
+        version: 8,
+        normalization: {...DEFAULT_NORMALIZATION},
+        kvs: kvs,
+        index: await encryptIndex(entries.keys(), keys.valueKey),
+    };
+}
+
+// Version 9 keeps a password history in every record. Records written before
+// it have none, and the vault gets the default history depth.
+async function migrateHistory(password, jsonRepr) {
+    return {...jsonRepr, version: 9, historyDepth: HISTORY_DEPTH};
+}
+
+// Version 10 can hold the key pairs used to share entries. Older vaults have
+// none; they are created the first time the public key is asked for.
+async function migrateIdentity(password, jsonRepr) {
+    return {...jsonRepr, version: 10, identity: null};
+}
+
+// Version 11 derives the password check under its own label. The MAC only
+// protects dumps that claim version 4 or later, so a check that older
+// versions would also accept let a dump be relabelled as version 3 and
+// edited freely.
+async function migrateCheck(password, jsonRepr) {
+    let keys = await deriveKeys(password, decodeBuffer(jsonRepr.secrets.salt), jsonRepr.kdf);
+    verifyOlderCheck(keys, jsonRepr);
+    return {...jsonRepr, version: 11, secrets: {...jsonRepr.secrets, check: keys.vaultCheck}};
+}
+
+// MIGRATIONS[n] upgrades a parsed repr from version n to a later version.
+// Each step receives the master password in case it has to re-encrypt.
+const MIGRATIONS = {
+    1: migrateLegacy,
+    2: migrateVerifier,
+    3: migrateCounter,
+    4: migrateIndex,
+    5: migrateRecords,
+    6: migrateAccounts,
+    7: migrateDomains,
+    8: migrateHistory,
+    9: migrateIdentity,
+    10: migrateCheck,
+};
+
+function checkSuite(jsonRepr, version) {
+    if (!isSupportedKdf(jsonRepr.kdf)) {
+        throw new UnsupportedFormatError(`Unsupported key derivation function ${jsonRepr.kdf.name}`, version);
+    }
+    if (jsonRepr.cipher !== CIPHER_SUITE) {
+        throw new UnsupportedFormatError(`Unsupported cipher suite ${jsonRepr.cipher}`, version);
+    }
+}
+
+async function migrate(password, jsonRepr) {
+    let version = formatVersion(jsonRepr);
+    if (!Number.isInteger(version) || version < 1 || version > FORMAT_VERSION) {
+        throw new UnsupportedFormatError(`Unsupported vault format version ${version}`, version);
+    }
+    while (true) {
+        // The legacy format predates the kdf and cipher fields
+        if (version > 1) {
+            checkSuite(jsonRepr, version);
+        }
+        if (version === FORMAT_VERSION) {
+            return jsonRepr;
+        }
+        jsonRepr = await MIGRATIONS[version](password, jsonRepr);
+        version = formatVersion(jsonRepr);
+    }
+}
+
+// Resolves the load options into the lowest version counter that may be
+// accepted, or null if the caller did not ask for rollback protection
+async function minimumCounter(options) {
+    const {minCounter, counterStore} = options || {};
+    let minimum = null;
+    if (minCounter !== undefined) {
+        if (!Number.isInteger(minCounter) || minCounter < 0) {
+            throw new InvalidInputError();
+        }
+        minimum = minCounter;
+    }
+    if (counterStore) {
+        const stored = await counterStore.read();
+        minimum = Math.max(minimum || 0, stored || 0);
+    }
+    return minimum;
+}
+
+async function verifyPassword(keychain, password) {
+    if (typeof password !== "string") {
+        throw new InvalidInputError();
+    }
+    let {vaultCheck} = await deriveKeys(password, keychain.secrets.salt, keychain.data.kdf);
+    if (!checksMatch(vaultCheck, keychain.secrets.vaultCheck)) {
+        throw new WrongPasswordError();
+    }
+}
+
+// Derives fresh keys for password under kdf and re-encrypts the verifier and
+// every record with them. Nothing on keychain is modified; the caller swaps
+// the returned state in once everything has been re-encrypted.
+async function reencrypt(keychain, password, kdf) {
+    let salt = getRandomBytes(16);
+    let keys = await deriveKeys(password, salt, kdf);
+    const kvs = {};
+    for (const [oldTag, record] of Object.entries(keychain.kvs)) {
+        let payload;
+        try {
+            payload = decodePayload(await decryptRecord(record, keychain.secrets.valueKey, oldTag));
+        } catch (e) {
+            throw new RecordTamperedError();
+        }
+        const tag = await domainTag(payload.domain, keys.tagKey);
+        kvs[tag] = await encryptRecord(encodePayload(payload.domain, payload.accounts), keys.valueKey, tag,
+            recordMinimum(keychain.data.historyDepth));
+    }
+    return {
+        kdf: kdf,
+        kvs: kvs,
+        secrets: {...keys, salt: salt, domains: keychain.secrets.domains, identity: keychain.secrets.identity},
+    };
+}
+
+// Everything is read from the keychain before the first await, so a write
+// that completes meanwhile cannot leave the records out of step with the index
+async function serialize(keychain) {
+    const secrets = keychain.secrets;
+    const kvs = {...keychain.kvs};
+    const domains = [...secrets.domains];
+    const identity = secrets.identity;
+    const repr = {
+        version: FORMAT_VERSION,
+        kdf: keychain.data.kdf,
+        cipher: CIPHER_SUITE,
+        counter: keychain.data.counter,
+        normalization: keychain.data.normalization,
+        historyDepth: keychain.data.historyDepth,
+        kvs: kvs,
+        index: await encryptIndex(domains, secrets.valueKey),
+        identity: identity
+            ? await encryptRecord(JSON.stringify(identity), secrets.valueKey, IDENTITY_AD)
+            : null,
+        secrets: {
+            check: secrets.vaultCheck,
+            salt: encodeBuffer(secrets.salt),
+        }
+    };
+    repr.mac = await vaultMac(repr, secrets.macKey);
+    return repr;
+}
+
+/********* Bundles and Shares ********/
+// The entries of the given domains with every account, without histories
+async function collectEntries(keychain, domains) {
+    if (!Array.isArray(domains)) {
+        throw new InvalidInputError();
+    }
+    const entries = [];
+    for (const name of new Set(domains.map((domain) => domainName(keychain, domain)))) {
+        const accounts = await readAccounts(keychain, name);
+        if (!accounts) {
+            throw new InvalidInputError(`No entry for ${name}!`);
+        }
+        for (const account of Object.keys(accounts)) {
+            accounts[account] = withoutHistory(accounts[account]);
+        }
+        entries.push({domain: name, accounts: accounts});
+    }
+    return entries;
+}
+
+// Stores entries received from another keychain, see importBundle. Every
+// record is checked before the first one is stored.
+async function mergeEntries(keychain, entries, options = {}) {
+    const {dryRun = false, onConflict = "skip"} = options;
+    if (!BUNDLE_CONFLICT_POLICIES.includes(onConflict)) {
+        throw new InvalidInputError();
+    }
+    const report = {imported: [], conflicts: []};
+    const updates = [];
+    for (const entry of entries) {
+        const name = domainName(keychain, entry.domain);
+        for (const [account, record] of Object.entries(entry.accounts)) {
+            const fields = validateRecord(recordFields(record));
+            const existing = await readRecord(keychain, name, account);
+            const result = {domain: name, account: account};
+            if (existing) {
+                if (JSON.stringify(recordFields(existing)) === JSON.stringify(fields)) {
+                    continue;
+                }
+                report.conflicts.push(result);
+                if (onConflict === "skip" || (onConflict === "newer" && !(record.modified > existing.modified))) {
+                    continue;
+                }
+            }
+            updates.push([name, fields, account]);
+            report.imported.push(result);
+        }
+    }
+    if (!dryRun) {
+        for (const [name, fields, account] of updates) {
+            await storeRecord(keychain, name, fields, account);
+        }
+    }
+    return report;
+}
+
+// A bundle is a standalone, password-protected copy of some entries. Its
+// header (format, KDF settings, salt and password check) is the additional
+// data of the encrypted entries, so changing either is detected.
+function bundleHeader(bundle) {
+    return JSON.stringify({
+        type: bundle.type,
+        version: bundle.version,
+        kdf: bundle.kdf,
+        cipher: bundle.cipher,
+        salt: bundle.salt,
+        check: bundle.check,
+    });
+}
+
+async function sealBundle(entries, password, kdf) {
+    const salt = getRandomBytes(16);
+    const keys = await deriveKeys(password, salt, kdf);
+    const bundle = {
+        type: BUNDLE_TYPE,
+        version: BUNDLE_VERSION,
+        kdf: kdf,
+        cipher: CIPHER_SUITE,
+        salt: encodeBuffer(salt),
+        check: keys.check,
+    };
+    bundle.entries = await encryptRecord(JSON.stringify(entries), keys.valueKey, bundleHeader(bundle));
+    return bundle;
+}
+
+async function openBundle(repr, password) {
+    if (typeof repr !== "string" || typeof password !== "string") {
+        throw new InvalidInputError();
+    }
+    let bundle;
+    try {
+        bundle = JSON.parse(repr);
+    } catch (e) {
+        throw new InvalidInputError("Bundle is not valid JSON!");
+    }
+    if (bundle === null || typeof bundle !== "object" || bundle.type !== BUNDLE_TYPE) {
+        throw new InvalidInputError("Not a keychain bundle!");
+    }
+    if (bundle.version !== BUNDLE_VERSION) {
+        throw new UnsupportedFormatError(`Unsupported bundle version ${bundle.version}`, bundle.version);
+    }
+    checkSuite(bundle, bundle.version);
+    const keys = await deriveKeys(password, decodeBuffer(bundle.salt), bundle.kdf);
+    if (!checksMatch(keys.check, bundle.check)) {
+        throw new WrongPasswordError();
+    }
+    try {
+        return JSON.parse(await decryptRecord(bundle.entries, keys.valueKey, bundleHeader(bundle)));
+    } catch (e) {
+        throw new RecordTamperedError("Bundle has been tampered with!");
+    }
+}
+
+// A keychain's identity is an X25519 key pair that shares are encrypted to
+// and an ECDSA key pair that signs the shares it sends. Both private keys are
+// kept as JWKs in secrets and stored encrypted in the dump.
+async function createIdentity() {
+    const encryption = await subtle.generateKey({name: "X25519"}, true, ["deriveBits"]);
+    const signing = await subtle.generateKey({name: "ECDSA", namedCurve: "P-256"}, true, ["sign", "verify"]);
+    return {
+        encryption: await subtle.exportKey("jwk", encryption.privateKey),
+        signing: await subtle.exportKey("jwk", signing.privateKey),
+    };
+}
+
+// A private JWK without its private part is the matching public JWK
+function publicJwk(jwk) {
+    const {d, key_ops, ext, ...rest} = jwk;
+    return rest;
+}
+
+async function publicKeys(identity) {
+    const encryption = await subtle.importKey("jwk", publicJwk(identity.encryption), {name: "X25519"}, true, []);
+    const signing = await subtle.importKey("jwk", publicJwk(identity.signing),
+        {name: "ECDSA", namedCurve: "P-256"}, true, ["verify"]);
+    return {
+        encryption: encodeBuffer(await subtle.exportKey("raw", encryption)),
+        signing: encodeBuffer(await subtle.exportKey("raw", signing)),
+    };
+}
+
+// Imports the {encryption, signing} public keys published by getPublicKey
+async function importPublicKeys(keys) {
+    if (keys === null || typeof keys !== "object" ||
+        typeof keys.encryption !== "string" || typeof keys.signing !== "string") {
+        throw new InvalidInputError("Invalid public key!");
+    }
+    try {
+        return {
+            encryption: await subtle.importKey("raw", decodeBuffer(keys.encryption), {name: "X25519"}, true, []),
+            signing: await subtle.importKey("raw", decodeBuffer(keys.signing),
+                {name: "ECDSA", namedCurve: "P-256"}, true, ["verify"]),
+        };
+    } catch (e) {
+        throw new InvalidInputError("Invalid public key!");
+    }
+}
+
+// The AES-GCM key of a share is derived with HKDF from the X25519 secret of
+// the sender's one-time key pair and the recipient's key pair
+async function shareKey(privateKey, publicKey, salt) {
+    const bits = await subtle.deriveBits({name: "X25519", public: publicKey}, privateKey, 256);
+    const material = await subtle.importKey("raw", bits, "HKDF", false, ["deriveKey"]);
+    return await subtle.deriveKey(
+        {name: "HKDF", hash: "SHA-256", salt: salt, info: stringToBuffer(SHARE_INFO)},
+        material,
+        {name: "AES-GCM", length: 256},
+        false,
+        ["encrypt", "decrypt"]
+    );
+}
+
+// As with bundles, the header of a share is the additional data of its
+// encrypted entries. The signature covers everything else.
+function shareHeader(share) {
+    return JSON.stringify({
+        type: share.type,
+        version: share.version,
+        sender: share.sender,
+        recipient: share.recipient,
+        ephemeral: share.ephemeral,
+    });
+}
+
+function shareContents(share) {
+    const {signature, ...contents} = share;
+    return stringToBuffer(JSON.stringify(contents));
+}
+
+async function sealShare(entries, identity, recipient) {
+    const recipientKeys = await importPublicKeys(recipient);
+    const ephemeral = await subtle.generateKey({name: "X25519"}, true, ["deriveBits"]);
+    const ephemeralKey = await subtle.exportKey("raw", ephemeral.publicKey);
+    const share = {
+        type: SHARE_TYPE,
+        version: SHARE_VERSION,
+        sender: await publicKeys(identity),
+        recipient: recipient.encryption,
+        ephemeral: encodeBuffer(ephemeralKey),
+    };
+    const key = await shareKey(ephemeral.privateKey, recipientKeys.encryption, ephemeralKey);
+    share.entries = await encryptRecord(JSON.stringify(entries), key, shareHeader(share));
+    const signingKey = await subtle.importKey("jwk", identity.signing,
+        {name: "ECDSA", namedCurve: "P-256"}, false, ["sign"]);
+    share.signature = encodeBuffer(await subtle.sign(SIGNATURE_ALGORITHM, signingKey, shareContents(share)));
+    return share;
+}
+
+async function openShare(repr, identity, sender) {
+    const senderKeys = await importPublicKeys(sender);
+    if (typeof repr !== "string") {
+        throw new InvalidInputError();
+    }
+    let share;
+    try {
+        share = JSON.parse(repr);
+    } catch (e) {
+        throw new InvalidInputError("Share is not valid JSON!");
+    }
+    if (share === null || typeof share !== "object" || share.type !== SHARE_TYPE) {
+        throw new InvalidInputError("Not a keychain share!");
+    }
+    if (share.version !== SHARE_VERSION) {
+        throw new UnsupportedFormatError(`Unsupported share version ${share.version}`, share.version);
+    }
+    // Only the key the caller trusts for the sender counts, whatever the
+    // share claims about where it came from
+    let valid;
+    try {
+        valid = await subtle.verify(SIGNATURE_ALGORITHM, senderKeys.signing,
+            decodeBuffer(share.signature), shareContents(share));
+    } catch (e) {
+        valid = false;
+    }
+    if (!valid) {
+        throw new RecordTamperedError("Share signature is invalid!");
+    }
+    if (share.recipient !== (await publicKeys(identity)).encryption) {
+        throw new InvalidInputError("Share is addressed to another keychain!");
+    }
+    try {
+        const ephemeralKey = decodeBuffer(share.ephemeral);
+        const ephemeral = await subtle.importKey("raw", ephemeralKey, {name: "X25519"}, false, []);
+        const privateKey = await subtle.importKey("jwk", identity.encryption, {name: "X25519"}, false, ["deriveBits"]);
+        const key = await shareKey(privateKey, ephemeral, ephemeralKey);
+        return JSON.parse(await decryptRecord(share.entries, key, shareHeader(share)));
+    } catch (e) {
+        throw new RecordTamperedError("Share has been tampered with!");
+    }
+}
+
+/********* Storage ********/
+// Decrypts every entry of a dump written with the keychain's current keys,
+// as a map from domain to accounts. A dump written with other keys (re-keyed
+// or from an older format) cannot be merged without the password.
+async function dumpEntries(keychain, jsonRepr) {
+    if (formatVersion(jsonRepr) !== FORMAT_VERSION || jsonRepr.secrets.check !== keychain.secrets.vaultCheck ||
+        JSON.stringify(jsonRepr.normalization) !== JSON.stringify(keychain.data.normalization)) {
+        throw new ConflictError("Vault was re-keyed or upgraded by another writer!");
+    }
+    let domains;
+    try {
+        domains = await decryptIndex(jsonRepr.index, keychain.secrets.valueKey);
+    } catch (e) {
+        throw new RecordTamperedError("Domain index has been tampered with!");
+    }
+    const view = {kvs: jsonRepr.kvs, secrets: keychain.secrets};
+    const entries = new Map();
+    for (const name of domains) {
+        entries.set(name, await readAccounts(view, name) || {});
+    }
+    return entries;
+}
+
+async function keychainEntries(keychain) {
+    const entries = new Map();
+    for (const name of keychain.secrets.domains) {
+        entries.set(name, await readAccounts(keychain, name));
+    }
+    return entries;
+}
+
+// Three-way merge of the keychain with the stored vault, given the vault as
+// it was loaded (base) and as it is now (theirs). An account changed on one
+// side only takes that side's record (or removal); an account changed
+// differently on both sides is a conflict, and then nothing is changed.
+async function mergeVault(keychain, baseRepr, theirsRepr) {
+    const theirsJson = JSON.parse(theirsRepr);
+    const base = await dumpEntries(keychain, JSON.parse(baseRepr));
+    const theirs = await dumpEntries(keychain, theirsJson);
+    const ours = await keychainEntries(keychain);
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    const merged = new Map();
+    const conflicts = [];
+    const names = new Set([...base.keys(), ...ours.keys(), ...theirs.keys()]);
+    for (const name of [...names].sort()) {
+        const [b, o, t] = [base, ours, theirs].map((entries) => entries.get(name) || {});
+        const accounts = {};
+        for (const account of new Set([...Object.keys(b), ...Object.keys(o), ...Object.keys(t)])) {
+            let record;
+            if (same(o[account], t[account]) || same(b[account], t[account])) {
+                record = o[account];
+            } else if (same(b[account], o[account])) {
+                record = t[account];
+            } else {
+                conflicts.push({domain: name, account: account});
+                continue;
+            }
+            if (record !== undefined) {
+                accounts[account] = record;
+            }
+        }
+        merged.set(name, accounts);
+    }
+    if (conflicts.length > 0) {
+        throw new ConflictError("Vault was changed by another writer!", conflicts);
+    }
 
+    let identity = keychain.secrets.identity;
+    if (!identity && theirsJson.identity) {
+        identity = JSON.parse(await decryptRecord(theirsJson.identity, keychain.secrets.valueKey, IDENTITY_AD));
+    }
+    for (const [name, accounts] of merged) {
+        if (!same(accounts, ours.get(name) || {})) {
+            await writeAccounts(keychain, name, accounts);
+        }
+    }
+    keychain.secrets.identity = identity;
+    // Keep the counter ahead of every dump either writer has made
+    keychain.data.counter = Math.max(keychain.data.counter, theirsJson.counter);
 }
 
 /********* Implementation ********/
@@ -76,9 +1224,17 @@ class Keychain {
      * Return Type: void
      */
     constructor() {
+        this.sealed = null;      // the dump the keychain was locked with, null while unlocked
+        this.locking = null;     // the running lock(), see seal
+        this.idleTimeout = null; // milliseconds without using the keys before locking, if set
+        this.idleTimer = null;
         this.data = {
             /* Store member variables that you intend to be public here
                (i.e. information that will not compromise security if an adversary sees) */
+            kdf: defaultKdf(),
+            counter: 0, // bumped by every dump, see load's rollback protection
+            normalization: {...DEFAULT_NORMALIZATION},
+            historyDepth: HISTORY_DEPTH,
         };
         this.secrets = {
             /* Store member variables that you intend to be private here
@@ -89,25 +1245,58 @@ class Keychain {
         // throw "Not Implemented!";
     };
 
+    // The keys and decrypted state of the keychain. Every use goes through
+    // here, so a locked keychain throws LockedError instead of using keys it
+    // no longer has, and restarts the idle timeout.
+    get secrets() {
+        if (this.sealed !== null || this.locking) {
+            throw new LockedError();
+        }
+        restartIdleTimer(this);
+        return this.unlockedSecrets;
+    }
+
+    set secrets(secrets) {
+        this.unlockedSecrets = secrets;
+    }
+
     /**
-     * Creates an empty keychain with the given password.
+     * Creates an empty keychain with the given password. The optional options
+     * select the key-derivation function: {kdf: "PBKDF2", params: {iterations,
+     * hash}} (the default) or {kdf: "scrypt", params: {N, r, p}}. Parameters
+     * left out take their defaults, and the result is recorded in the dump.
+     * options.counterStore is an optional counter store (see load) that every
+     * dump reports its version counter to. options.normalization configures how
+     * domain names are normalized: {stripWww, matchSubdomains}, both true by
+     * default. It is recorded in the dump because the stored tags depend on it.
+     * options.historyDepth is the number of previous passwords kept for every
+     * account (10 by default, 0 keeps none); every record is padded to the
+     * size of a full history, so a deeper one makes each record larger.
+     * options.idleTimeout, in milliseconds, locks the keychain (see lock)
+     * once it goes that long without being used.
      *
      * Arguments:
      *   password: string
+     *   options:  object (optional)
      * Return Type: void
      */
-    static async init(password) {
+    static async init(password, options) {
+        const idleTimeout = resolveIdleTimeout(options);
+        const kdf = resolveKdf(options);
+        const historyDepth = options && options.historyDepth !== undefined ? options.historyDepth : HISTORY_DEPTH;
+        if (!isNonBlankString(password) || !isSupportedKdf(kdf) || !isHistoryDepth(historyDepth)) {
+            throw new InvalidInputError();
+        }
         const keychain = new Keychain();
         keychain.kvs = {};
+        keychain.data.kdf = kdf;
+        keychain.data.normalization = resolveNormalization(options && options.normalization);
+        keychain.data.historyDepth = historyDepth;
+        keychain.counterStore = options && options.counterStore;
         let salt = getRandomBytes(16);
-        let iv = getRandomBytes(16);
-        let key = await generateKey(password, salt);
-        keychain.secrets = {
-            iv: iv,
-            key: key,
-            encKey: await encrypt(password, key, iv),
-            salt: salt,
-        };
+        keychain.secrets = {...await deriveKeys(password, salt, kdf), salt: salt, domains: new Set(), identity: null};
+        keychain.idleTimeout = idleTimeout;
+        restartIdleTimer(keychain);
         return keychain;
     }
 
@@ -122,42 +1311,282 @@ class Keychain {
      * a valid JSON object).Returns a Keychain object that contains the data
      * from repr.
      *
+     * The repr carries a format version. Older versions are upgraded one step
+     * at a time through MIGRATIONS (the legacy single-IV format is re-encrypted
+     * under the current scheme), so the next dump is written in the current
+     * format. Versions newer than this code understands are rejected with an
+     * UnsupportedFormatError.
+     *
+     * A checksum mismatch throws ChecksumMismatchError and a password that does
+     * not open the vault throws WrongPasswordError.
+     *
+     * Every dump carries a version counter that dump() increments, and a MAC
+     * over the whole dump that ties the counter to its contents; a dump whose
+     * MAC does not match, or that was relabelled with an older version to
+     * escape it, throws RecordTamperedError. To guard against rollback, pass
+     * options.minCounter (the counter of the newest dump the caller trusts)
+     * and/or options.counterStore, an object with async read() returning the
+     * highest counter seen so far (or null) and async write(counter), which
+     * every later dump of this keychain calls. When either is given a dump
+     * with a lower counter throws RollbackError, even if its (stale) checksum
+     * matches.
+     *
+     * options.idleTimeout is the idle timeout of init.
+     *
      * Arguments:
      *   password:           string
      *   repr:               string
      *   trustedDataCheck: string
+     *   options:          object (optional)
      * Return Type: Keychain
      */
-    static async load(password, repr, trustedDataCheck) {
+    static async load(password, repr, trustedDataCheck, options) {
+        if (typeof password !== "string" || typeof repr !== "string") {
+            throw new InvalidInputError();
+        }
+        const idleTimeout = resolveIdleTimeout(options);
+        let jsonRepr;
+        try {
+            jsonRepr = JSON.parse(repr);
+        } catch (e) {
+            throw new InvalidInputError("Vault is not valid JSON!");
+        }
         if (trustedDataCheck) {
-            let hash = await subtle.digest('SHA-256', decodeBuffer(repr));
-            hash = encodeBuffer(hash);
+            let hash = formatVersion(jsonRepr) === 1 ? await legacyChecksum(repr) : await checksum(repr);
             if (hash !== trustedDataCheck) {
-                throw "Integrity check failed!";
+                throw new ChecksumMismatchError();
             }
         }
+        const stored = jsonRepr;
+        const storedVersion = formatVersion(stored);
+        jsonRepr = await migrate(password, jsonRepr);
 
-        const keychain = new Keychain();
+        let salt = decodeBuffer(jsonRepr.secrets.salt); // Decode the salt from a Base64 string
+        let keys = await deriveKeys(password, salt, jsonRepr.kdf); // Pass the stored salt
+        if (!checksMatch(keys.vaultCheck, jsonRepr.secrets.check)) {
+            throw new WrongPasswordError();
+        }
+
+        // Vaults from before version 4 have no MAC, but they also start at
+        // counter 0, and a later dump relabelled as one is caught by its
+        // password check (see migrateCheck). Later migrations keep the salt,
+        // so the MAC of the stored repr can still be checked with the derived
+        // key.
+        if (storedVersion >= 4 && !checksMatch(await vaultMac(stored, keys.macKey), stored.mac)) {
+            throw new RecordTamperedError("Vault has been tampered with!");
+        }
+        const minimum = await minimumCounter(options);
+        if (minimum !== null && jsonRepr.counter < minimum) {
+            throw new RollbackError(jsonRepr.counter, minimum);
+        }
 
-        const jsonRepr = JSON.parse(repr);
+        let domains;
+        try {
+            domains = await decryptIndex(jsonRepr.index, keys.valueKey);
+        } catch (e) {
+            throw new RecordTamperedError("Domain index has been tampered with!");
+        }
+        if (domains.length !== Object.keys(jsonRepr.kvs).length) {
+            throw new RecordTamperedError("Domain index has been tampered with!");
+        }
+        let identity = null;
+        if (jsonRepr.identity) {
+            try {
+                identity = JSON.parse(await decryptRecord(jsonRepr.identity, keys.valueKey, IDENTITY_AD));
+            } catch (e) {
+                throw new RecordTamperedError("Sharing keys have been tampered with!");
+            }
+        }
 
+        // Rebuild the full state init would have produced, so the loaded
+        // keychain can be updated and dumped again any number of times
+        const keychain = new Keychain();
         keychain.kvs = jsonRepr.kvs;
-        let iv = decodeBuffer(jsonRepr.secrets.iv); // Decode the iv from a Base64 string
-        let salt = decodeBuffer(jsonRepr.secrets.salt);
-        let key = await generateKey(password, salt); // Pass the stored salt
+        keychain.data.kdf = jsonRepr.kdf;
+        keychain.data.counter = jsonRepr.counter;
+        keychain.data.normalization = jsonRepr.normalization;
+        keychain.data.historyDepth = jsonRepr.historyDepth;
+        keychain.counterStore = options && options.counterStore;
+        keychain.secrets = {...keys, salt: salt, domains: new Set(domains), identity: identity};
+        keychain.idleTimeout = idleTimeout;
+        restartIdleTimer(keychain);
+        return keychain;
+    };
 
-        let pass = await decrypt(jsonRepr.secrets.encKey, key, iv);
-        if (pass !== password) {
-            throw "Integrity check failed!";
+    /**
+     * Loads the vault kept by a storage adapter (see storage.js), verifying
+     * it against the stored checksum; password and options are those of load.
+     * The keychain remembers the storage and the contents it was loaded from,
+     * so that save can tell whether another writer changed the vault since.
+     * Contents matching the previousChecksum of the adapter (see storage.js)
+     * are accepted as well. Empty storage throws InvalidInputError and a missing checksum
+     * ChecksumMismatchError.
+     *
+     * Arguments:
+     *   storage:  object
+     *   password: string
+     *   options:  object (optional)
+     * Return Type: Keychain
+     */
+    static async open(storage, password, options) {
+        const stored = await storage.read();
+        if (stored === null) {
+            throw new InvalidInputError("Storage holds no vault!");
         }
-
-        keychain.secrets = {
-            iv: iv,
-            key: key,
+        if (!stored.checksum) {
+            throw new ChecksumMismatchError("Vault checksum is missing!");
         }
+        // A write that was interrupted may have left the previous contents
+        const trusted = stored.previousChecksum && await checksum(stored.contents) === stored.previousChecksum
+            ? stored.previousChecksum
+            : stored.checksum;
+        const keychain = await Keychain.load(password, stored.contents, trusted, options);
+        keychain.storage = storage;
+        keychain.base = stored.contents;
         return keychain;
     };
 
+    /**
+     * Dumps the keychain into its storage adapter (the one it was opened
+     * from, or options.storage), holding the adapter's lock meanwhile. If the
+     * stored vault changed since it was loaded, options.onConflict decides:
+     * "merge" (the default) merges both sides account by account and throws
+     * ConflictError, without changing anything, if an account was changed
+     * differently on both; "fail" always throws ConflictError; "overwrite"
+     * replaces the stored vault. Storage that already holds a vault this
+     * keychain was not loaded from is only replaced with "overwrite". Merging
+     * needs both sides to use the same keys, so a vault that was re-keyed by
+     * another writer throws ConflictError as well.
+     *
+     * Arguments:
+     *   options: object (optional)
+     * Return Type: void
+     */
+    async save(options = {}) {
+        const {onConflict = "merge"} = options;
+        const storage = options.storage || this.storage;
+        if (!storage || !SAVE_CONFLICT_POLICIES.includes(onConflict)) {
+            throw new InvalidInputError();
+        }
+        const base = storage === this.storage ? this.base : null;
+        await storage.transaction(async () => {
+            const current = await storage.read();
+            if (current !== null && current.contents !== base && onConflict !== "overwrite") {
+                if (base === null) {
+                    throw new ConflictError("Storage already holds another vault!");
+                }
+                if (onConflict === "fail") {
+                    throw new ConflictError();
+                }
+                await mergeVault(this, base, current.contents);
+            }
+            const [contents, checksum] = await this.dump();
+            await storage.write(contents, checksum);
+            this.storage = storage;
+            this.base = contents;
+        });
+    };
+
+    /**
+     * Locks the keychain: it is dumped one last time (as dump would) and its
+     * keys, sharing key pairs and decrypted domain names are dropped. Until
+     * unlock is called, every method that needs them throws LockedError;
+     * dump and save still work, returning that last dump, as it is all
+     * ciphertext. Locking a locked keychain does nothing.
+     *
+     * Return Type: void
+     */
+    async lock() {
+        if (this.sealed === null) {
+            this.locking = this.locking || seal(this).finally(() => {
+                this.locking = null;
+            });
+            await this.locking;
+        }
+    };
+
+    /**
+     * Unlocks a locked keychain with its master password, deriving the keys
+     * again from the dump it was locked with. A wrong password throws
+     * WrongPasswordError and leaves it locked. An unlocked keychain only has
+     * the password checked.
+     *
+     * Arguments:
+     *   password: string
+     * Return Type: void
+     */
+    async unlock(password) {
+        if (this.locking) {
+            await this.locking;
+        }
+        if (this.sealed === null) {
+            await verifyPassword(this, password);
+            return;
+        }
+        const sealed = this.sealed;
+        const unlocked = await Keychain.load(password, sealed);
+        if (this.sealed === sealed) {
+            this.kvs = unlocked.kvs;
+            this.secrets = unlocked.unlockedSecrets;
+            this.sealed = null;
+            restartIdleTimer(this);
+        }
+    };
+
+    /**
+     * Tells whether the keychain is locked.
+     *
+     * Return Type: boolean
+     */
+    isLocked() {
+        return this.sealed !== null;
+    };
+
+    /**
+     * Re-keys the vault under new key-derivation settings, e.g. after the
+     * iteration policy has been raised or to move to scrypt. newParams takes
+     * the same {kdf, params} shape as the options of init. A fresh salt is
+     * drawn and every record is re-encrypted; if the password is wrong or any
+     * record fails to decrypt, the keychain is left untouched.
+     *
+     * Arguments:
+     *   password:  string
+     *   newParams: object
+     * Return Type: void
+     */
+    async upgradeKdf(password, newParams) {
+        const kdf = resolveKdf(newParams);
+        if (!isSupportedKdf(kdf)) {
+            throw new InvalidInputError();
+        }
+        await verifyPassword(this, password);
+        const state = await reencrypt(this, password, kdf);
+        this.data.kdf = state.kdf;
+        this.kvs = state.kvs;
+        this.secrets = state.secrets;
+    };
+
+    /**
+     * Changes the master password. The old password is checked first, then a
+     * new salt and key are derived (with the current KDF settings) and every
+     * record and the verifier are re-encrypted. If any step fails, the
+     * keychain keeps its old password and contents.
+     *
+     * Arguments:
+     *   oldPassword: string
+     *   newPassword: string
+     * Return Type: void
+     */
+    async changePassword(oldPassword, newPassword) {
+        if (!isNonBlankString(newPassword)) {
+            throw new InvalidInputError();
+        }
+        await verifyPassword(this, oldPassword);
+        const state = await reencrypt(this, newPassword, this.data.kdf);
+        this.kvs = state.kvs;
+        this.secrets = state.secrets;
+    };
+
     /**
      * Returns a JSON serialization of the contents of the keychain that can be
      * loaded back using the load function. The return value should consist of
@@ -168,79 +1597,636 @@ class Keychain {
      * all of the data in the password manager. The second element is a SHA-256
      * checksum computed over the password manager to preserve integrity.
      *
+     * The JSON is a versioned envelope: {version, kdf: {name, params}, cipher,
+     * counter, normalization, historyDepth, kvs, index, identity, secrets,
+     * mac}, so that load can tell which scheme wrote it.
+     * Each call increments the version counter, except on a locked keychain,
+     * which returns the dump it was locked with.
+     *
      * Return Type: array
      */
     async dump() {
-        const repr = {
-            kvs: this.kvs,
-            secrets: {
-                iv: encodeBuffer(this.secrets.iv),
-                encKey: this.secrets.encKey,
-                salt: encodeBuffer(this.secrets.salt),
+        if (this.locking) {
+            await this.locking;
+        }
+        if (this.sealed !== null) {
+            if (this.counterStore) {
+                await this.counterStore.write(this.data.counter);
             }
-        };
+            return [this.sealed, await checksum(this.sealed)];
+        }
+        this.data.counter += 1;
+        const contents = JSON.stringify(await serialize(this));
+        if (this.counterStore) {
+            await this.counterStore.write(this.data.counter);
+        }
+        return [contents, await checksum(contents)];
+    };
+
+    /**
+     * Fetches the full credential record stored for the given domain:
+     * {username, password, url, notes, tags, created, modified,
+     * passwordChanged}, where the timestamps are milliseconds since the epoch
+     * and passwordChanged is when the password itself was last set. A domain can hold several
+     * named accounts; account selects one and defaults to "default". Returns
+     * null if there is no such account for the domain; a record that does not
+     * belong to the domain throws RecordTamperedError.
+     *
+     * Arguments:
+     *   name:    string
+     *   account: string (optional)
+     * Return Type: Promise<object>
+     */
+    async getRecord(name, account = DEFAULT_ACCOUNT) {
+        name = domainName(this, name);
+        if (!isNonBlankString(account)) {
+            throw new InvalidInputError();
+        }
+        const record = await readRecord(this, name, account);
+        return record === null ? null : withoutHistory(record);
+    };
+
+    /**
+     * Stores a credential record for an account of the given domain (the
+     * "default" account unless account is given), adding the account or
+     * replacing its record. Other accounts of the domain are kept. fields may
+     * hold username, password, url and notes (strings), tags (an array of
+     * strings) and totp, a TOTP secret given as an "otpauth://totp/" URI, a
+     * Base32 secret or a {secret, algorithm, digits, period} object and
+     * stored in that object form (see getTotp); password is required and
+     * limited to MAX_PASSWORD_LENGTH characters. The whole record is
+     * encrypted as one unit. created is kept from the record being replaced
+     * and modified is set to the current time. If the password changes, the
+     * old one is added to the account's history.
+     *
+     * Arguments:
+     *   name:    string
+     *   fields:  object
+     *   account: string (optional)
+     * Return Type: void
+     */
+    async setRecord(name, fields, account = DEFAULT_ACCOUNT) {
+        name = domainName(this, name);
+        if (!isNonBlankString(account)) {
+            throw new InvalidInputError();
+        }
+        await storeRecord(this, name, fields, account);
+    };
+
+    /**
+     * Computes the RFC 6238 TOTP code of the "default" account (or of account
+     * if given) of the given domain at time, in milliseconds since the epoch
+     * or as a Date, and the current time by default. The secret, hash (SHA1,
+     * SHA256 or SHA512), number of digits and period are those stored with
+     * the record. Returns null if there is no such account or it has no TOTP
+     * secret.
+     *
+     * Arguments:
+     *   name:    string
+     *   time:    number or Date (optional)
+     *   account: string (optional)
+     * Return Type: Promise<string>
+     */
+    async getTotp(name, time = Date.now(), account = DEFAULT_ACCOUNT) {
+        if (time instanceof Date) {
+            time = time.getTime();
+        }
+        if (typeof time !== "number" || !(time >= 0)) {
+            throw new InvalidInputError();
+        }
+        const record = await this.getRecord(name, account);
+        return record === null || !record.totp ? null : await totpCode(record.totp, time);
+    };
 
-        const hash = await subtle.digest('SHA-256', decodeBuffer(JSON.stringify(repr)));
-        return [JSON.stringify(repr), encodeBuffer(hash)];
+    /**
+     * Returns the names of the accounts stored for the given domain, sorted,
+     * or an empty array if the domain has no entry.
+     *
+     * Arguments:
+     *   name: string
+     * Return Type: Promise<Array<string>>
+     */
+    async listAccounts(name) {
+        name = domainName(this, name);
+        const accounts = await readAccounts(this, name);
+        return accounts ? Object.keys(accounts).sort() : [];
     };
 
     /**
      * Fetches the data (as a string) corresponding to the given domain from the KVS.
      * If there is no entry in the KVS that matches the given domain, then return
-     * null.
+     * null. If the stored record does not belong to the domain (e.g. it was
+     * swapped with or spliced from another record), a RecordTamperedError is
+     * thrown. The value is the password of the "default" account, or of
+     * account if given.
      *
      * Arguments:
-     *   name: string
+     *   name:    string
+     *   account: string (optional)
      * Return Type: Promise<string>
      */
-    async get(name) {
-        const key = await encrypt(name, this.secrets.key, this.secrets.iv);
-        if (!this.kvs[key]) {
-            return null;
-        }
-        return await decrypt(this.kvs[key], this.secrets.key, this.secrets.iv);
+    async get(name, account = DEFAULT_ACCOUNT) {
+        const record = await this.getRecord(name, account);
+        return record === null ? null : record.password;
     };
 
     /**
      * Inserts the domain and associated data into the KVS. If the domain is
      * already in the password manager, this method should update its value. If
-     * not, create a new entry in the password manager.
+     * not, create a new entry in the password manager. Blank names or values
+     * throw InvalidInputError and values longer than MAX_PASSWORD_LENGTH throw
+     * ValueTooLongError. The value is the password field of the record of the
+     * "default" account (or of account if given); its other fields are left
+     * as they were.
      *
      * Arguments:
-     *   name: string
-     *   value: string
+     *   name:    string
+     *   value:   string
+     *   account: string (optional)
      * Return Type: void
      */
-    async set(name, value) {
+    async set(name, value, account = DEFAULT_ACCOUNT) {
         // name and value should not whitespace only
-        if (!name.trim() || !value.trim()) {
-            throw "Invalid input!";
+        if (!isNonBlankString(name) || !isNonBlankString(value) || !isNonBlankString(account)) {
+            throw new InvalidInputError();
         }
         if (value.length > MAX_PASSWORD_LENGTH) {
-            throw "Password is too long!";
+            throw new ValueTooLongError();
         }
-        const key = await encrypt(name, this.secrets.key, this.secrets.iv);
-        this.kvs[key] = await encrypt(value, this.secrets.key, this.secrets.iv);
+        name = domainName(this, name);
+        const existing = await readRecord(this, name, account);
+        await storeRecord(this, name, {...recordFields(existing || emptyRecord()), password: value}, account);
+    };
+
+    /**
+     * Generates a password with generatePassword(policy) and stores it with
+     * set as the password of the "default" account (or of account if given),
+     * adding the previous password to the account's history. Returns the
+     * generated {password, entropy}.
+     *
+     * Arguments:
+     *   name:    string
+     *   policy:  object (optional)
+     *   account: string (optional)
+     * Return Type: Promise<object>
+     */
+    async generateAndSet(name, policy, account = DEFAULT_ACCOUNT) {
+        const generated = generatePassword(policy);
+        await this.set(name, generated.password, account);
+        return generated;
+    };
+
+    /**
+     * Imports the entries of a password export: "chrome" or "firefox" (CSV),
+     * "bitwarden" (unencrypted JSON) or "keepass" (KeePass 2 XML). Every login
+     * is stored like setRecord would under the normalized domain of its URL
+     * (or of its name if it has no URL), as the "default" account or, with
+     * options.byUsername, as an account named after its username.
+     *
+     * An entry whose account already exists, in the vault or earlier in the
+     * export, is a conflict. options.onConflict decides what happens to it:
+     * "skip" (the default) keeps the existing record and "overwrite" replaces
+     * it, moving the old password to the account's history. An identical
+     * record is skipped as "DUPLICATE". Entries that setRecord would reject
+     * are skipped with the code of the error (e.g. "VALUE_TOO_LONG"), and
+     * export items that are not logins as "NOT_A_LOGIN". A TOTP secret that
+     * setRecord would reject (such as Bitwarden's steam:// secrets) does not
+     * cost the login: it is imported without it and the secret is reported
+     * as dropped. With options.dryRun nothing is stored, but the report is
+     * the same.
+     *
+     * Returns {imported, skipped, conflicts, dropped}: imported and conflicts
+     * list {row, domain, account}, skipped lists {row, reason} and dropped
+     * lists {row, domain, account, field, reason} for imported entries, where
+     * row is the 1-based position of the entry in the export. An export that
+     * cannot be read throws InvalidInputError.
+     *
+     * Arguments:
+     *   text:    string
+     *   format:  string
+     *   options: object (optional)
+     * Return Type: Promise<object>
+     */
+    async importEntries(text, format, options = {}) {
+        const {dryRun = false, onConflict = "skip", byUsername = false} = options;
+        if (!CONFLICT_POLICIES.includes(onConflict)) {
+            throw new InvalidInputError();
+        }
+        const report = {imported: [], skipped: [], conflicts: [], dropped: []};
+        const planned = new Map();
+        for (const entry of readExport(text, format)) {
+            if (entry.skip) {
+                report.skipped.push({row: entry.row, reason: entry.skip});
+                continue;
+            }
+            const {totp, ...fields} = entry.fields;
+            let droppedTotp = null;
+            if (totp !== undefined) {
+                try {
+                    parseTotp(totp);
+                    fields.totp = totp;
+                } catch (e) {
+                    if (!(e instanceof KeychainError)) {
+                        throw e;
+                    }
+                    droppedTotp = e.code;
+                }
+            }
+            let name, record;
+            try {
+                name = domainName(this, fields.url || entry.name);
+                record = validateRecord(fields);
+            } catch (e) {
+                if (!(e instanceof KeychainError)) {
+                    throw e;
+                }
+                report.skipped.push({row: entry.row, reason: e.code});
+                continue;
+            }
+            const account = byUsername && isNonBlankString(record.username) ? record.username : DEFAULT_ACCOUNT;
+            const key = JSON.stringify([name, account]);
+            const existing = planned.has(key) ? planned.get(key) : await readRecord(this, name, account);
+            const result = {row: entry.row, domain: name, account: account};
+            if (existing) {
+                if (JSON.stringify(recordFields(existing)) === JSON.stringify(record)) {
+                    report.skipped.push({row: entry.row, reason: "DUPLICATE"});
+                    continue;
+                }
+                report.conflicts.push(result);
+                if (onConflict === "skip") {
+                    continue;
+                }
+            }
+            planned.set(key, record);
+            if (!dryRun) {
+                await storeRecord(this, name, record, account);
+            }
+            report.imported.push(result);
+            if (droppedTotp !== null) {
+                report.dropped.push({...result, field: "totp", reason: droppedTotp});
+            }
+        }
+        return report;
+    };
+
+    /**
+     * Exports the entries of the given domains, with all their accounts, as a
+     * standalone bundle protected by bundlePassword, e.g. to hand a few
+     * credentials to a colleague. The bundle has its own salt and key
+     * derivation settings: those of this keychain, or those of options, which
+     * take the {kdf, params} shape of the options of init. It is encrypted
+     * and authenticated as a whole. Password histories are left out. A domain
+     * without an entry throws InvalidInputError.
+     *
+     * Arguments:
+     *   domains:        Array<string>
+     *   bundlePassword: string
+     *   options:        object (optional)
+     * Return Type: Promise<string>
+     */
+    async exportBundle(domains, bundlePassword, options) {
+        const kdf = options === undefined ? this.data.kdf : resolveKdf(options);
+        if (!isNonBlankString(bundlePassword) || !isSupportedKdf(kdf)) {
+            throw new InvalidInputError();
+        }
+        const entries = await collectEntries(this, domains);
+        return JSON.stringify(await sealBundle(entries, bundlePassword, kdf));
+    };
+
+    /**
+     * Merges a bundle written by exportBundle into this keychain. Domain names
+     * are normalized with this keychain's settings and every account is stored
+     * like setRecord would. An account that already exists with a different
+     * record is a conflict, resolved by options.onConflict: "skip" (the
+     * default) keeps the existing record, "overwrite" replaces it and "newer"
+     * replaces it only if the bundled record was modified more recently.
+     * Replaced passwords go to the account's history. With options.dryRun
+     * nothing is stored, but the report is the same. Nothing is stored either
+     * if any record of the bundle is rejected.
+     *
+     * Returns {imported, conflicts}, both listing {domain, account}; accounts
+     * that already hold the bundled record are in neither. A wrong password
+     * throws WrongPasswordError and a modified bundle RecordTamperedError.
+     *
+     * Arguments:
+     *   bundle:         string
+     *   bundlePassword: string
+     *   options:        object (optional)
+     * Return Type: Promise<object>
+     */
+    async importBundle(bundle, bundlePassword, options) {
+        return await mergeEntries(this, await openBundle(bundle, bundlePassword), options);
+    };
+
+    /**
+     * Returns the public keys other keychains share entries with:
+     * {encryption, signing}, an X25519 key that shares are encrypted to and
+     * an ECDSA P-256 key that verifies the shares this keychain sends, both
+     * Base64 encoded. The key pairs are created on the first call and kept
+     * (encrypted) in the dump from then on.
+     *
+     * Return Type: Promise<object>
+     */
+    async getPublicKey() {
+        if (!this.secrets.identity) {
+            const identity = await createIdentity();
+            if (!this.secrets.identity) {
+                this.secrets.identity = identity;
+            }
+        }
+        return await publicKeys(this.secrets.identity);
+    };
+
+    /**
+     * Encrypts the entries of the given domains, with all their accounts but
+     * without password histories, to the keychain that published
+     * recipientPublicKey (see getPublicKey). The entries are encrypted with an
+     * AES-GCM key derived by ECDH between a one-time key pair and the
+     * recipient's key, and the share is signed with this keychain's ECDSA
+     * key, so no secret has to be agreed on beforehand. A domain without an
+     * entry throws InvalidInputError.
+     *
+     * Arguments:
+     *   domains:            Array<string>
+     *   recipientPublicKey: object
+     * Return Type: Promise<string>
+     */
+    async shareEntries(domains, recipientPublicKey) {
+        await this.getPublicKey();
+        const entries = await collectEntries(this, domains);
+        return JSON.stringify(await sealShare(entries, this.secrets.identity, recipientPublicKey));
+    };
+
+    /**
+     * Verifies a share written by shareEntries with the public key of its
+     * sender, as published by the sender's getPublicKey and obtained in a
+     * trusted way, decrypts it and merges its entries like importBundle
+     * (taking the same options). A share not signed with that key, or changed
+     * after it was signed, throws RecordTamperedError; one encrypted to another
+     * keychain throws InvalidInputError.
+     *
+     * Arguments:
+     *   share:           string
+     *   senderPublicKey: object
+     *   options:         object (optional)
+     * Return Type: Promise<object>
+     */
+    async receiveShare(share, senderPublicKey, options) {
+        if (!this.secrets.identity) {
+            throw new InvalidInputError("Share is addressed to another keychain!");
+        }
+        return await mergeEntries(this, await openShare(share, this.secrets.identity, senderPublicKey), options);
     };
 
     /**
      * Removes the record with name from the password manager. Returns true
      * if the record with the specified name is removed, false otherwise.
+     * This removes every account of the domain; use removeAccount to remove
+     * a single one.
      *
      * Arguments:
      *   name: string
      * Return Type: Promise<boolean>
      */
     async remove(name) {
-        const key = await encrypt(name, this.secrets.key, this.secrets.iv);
-        if (this.kvs[key]) {
-            delete this.kvs[key];
+        name = domainName(this, name);
+        const tag = await domainTag(name, this.secrets.tagKey);
+        if (this.kvs[tag]) {
+            delete this.kvs[tag];
+            this.secrets.domains.delete(name);
             return true;
         }
         else {
             return false;
         }
     };
+
+    /**
+     * Removes one account of the given domain. Returns true if the account
+     * existed, false otherwise. Removing the last account removes the domain.
+     *
+     * Arguments:
+     *   name:    string
+     *   account: string
+     * Return Type: Promise<boolean>
+     */
+    async removeAccount(name, account) {
+        name = domainName(this, name);
+        if (!isNonBlankString(account)) {
+            throw new InvalidInputError();
+        }
+        const accounts = await readAccounts(this, name);
+        if (!accounts || !Object.prototype.hasOwnProperty.call(accounts, account)) {
+            return false;
+        }
+        const {[account]: removed, ...rest} = accounts;
+        await writeAccounts(this, name, rest);
+        return true;
+    };
+
+    /**
+     * Finds the entry that best matches a URL (or domain name): the entry for
+     * its normalized host if there is one, else the closest parent domain and,
+     * with subdomain matching enabled, else another entry with the same
+     * registrable domain (e.g. "login.example.co.uk" for "example.co.uk").
+     * Returns {domain, accounts} with the matched domain and its records by
+     * account name, or null if nothing matches.
+     *
+     * Arguments:
+     *   url: string
+     * Return Type: Promise<object>
+     */
+    async findForUrl(url) {
+        const host = domainName(this, url);
+        const domain = bestMatch(host, this.secrets.domains, this.data.normalization);
+        if (domain === null) {
+            return null;
+        }
+        const accounts = await readAccounts(this, domain);
+        for (const account of Object.keys(accounts)) {
+            accounts[account] = withoutHistory(accounts[account]);
+        }
+        return {domain: domain, accounts: accounts};
+    };
+
+    /**
+     * Returns the previous passwords of an account of the given domain (the
+     * "default" account unless account is given), most recent first, as
+     * {password, modified, replaced}: the password, when it was stored and
+     * when it was replaced (milliseconds since the epoch). At most the
+     * keychain's history depth of them are kept. Returns an empty array if
+     * the account has no history or does not exist.
+     *
+     * Arguments:
+     *   name:    string
+     *   account: string (optional)
+     * Return Type: Promise<Array<object>>
+     */
+    async getHistory(name, account = DEFAULT_ACCOUNT) {
+        name = domainName(this, name);
+        if (!isNonBlankString(account)) {
+            throw new InvalidInputError();
+        }
+        const record = await readRecord(this, name, account);
+        return record === null ? [] : (record.history || []).map((entry) => ({...entry}));
+    };
+
+    /**
+     * Makes the password at position index of getHistory the current password
+     * of the account again. It is taken out of the history and the password
+     * it replaces is added to the front, so a restore can itself be undone.
+     * The other fields of the record are kept. An index outside the history
+     * throws InvalidInputError.
+     *
+     * Arguments:
+     *   name:    string
+     *   index:   number
+     *   account: string (optional)
+     * Return Type: void
+     */
+    async restoreVersion(name, index, account = DEFAULT_ACCOUNT) {
+        name = domainName(this, name);
+        if (!isNonBlankString(account)) {
+            throw new InvalidInputError();
+        }
+        const existing = await readRecord(this, name, account);
+        const history = existing === null ? [] : existing.history || [];
+        if (!Number.isInteger(index) || index < 0 || index >= history.length) {
+            throw new InvalidInputError();
+        }
+        const rest = history.filter((entry, i) => i !== index);
+        await storeRecord(this, name, {...recordFields(existing), password: history[index].password}, account, rest);
+    };
+
+    /**
+     * Checks the password of every account and returns a report:
+     *   checked: the number of accounts checked
+     *   reused:  groups of two or more {domain, account} sharing a password
+     *   weak:    {domain, account, entropy, reasons} for passwords with an
+     *            estimated entropy below options.minEntropy (50 bits by
+     *            default) or a common pattern, see audit.rateStrength
+     *   stale:   {domain, account, passwordChanged} for passwords last
+     *            changed more than options.maxAge milliseconds (365 days by
+     *            default) before options.now (the current time by default),
+     *            including records from older vaults that have no timestamps;
+     *            edits that keep the password do not count
+     * Entries are listed in the order of list() and account name. Records are
+     * only decrypted in memory; the report holds no passwords and the vault
+     * is not modified.
+     *
+     * Arguments:
+     *   options: object (optional)
+     * Return Type: Promise<object>
+     */
+    async audit(options) {
+        const settings = resolveAudit(options);
+        const report = {checked: 0, reused: [], weak: [], stale: []};
+        const byPassword = new Map();
+        for (const name of await this.list()) {
+            const accounts = await readAccounts(this, name);
+            for (const account of Object.keys(accounts).sort()) {
+                const record = accounts[account];
+                const entry = {domain: name, account: account};
+                report.checked += 1;
+                if (!byPassword.has(record.password)) {
+                    byPassword.set(record.password, []);
+                }
+                byPassword.get(record.password).push(entry);
+                const {entropy, reasons} = rateStrength(record.password, settings.minEntropy);
+                if (reasons.length > 0) {
+                    report.weak.push({...entry, entropy: entropy, reasons: reasons});
+                }
+                const changed = passwordChanged(record);
+                if (changed === null || settings.now - changed > settings.maxAge) {
+                    report.stale.push({...entry, passwordChanged: changed});
+                }
+            }
+        }
+        report.reused = [...byPassword.values()].filter((entries) => entries.length > 1);
+        return report;
+    };
+
+    /**
+     * Checks the password of every account against a local breach list in the
+     * HIBP Pwned Passwords format, without sending anything over the network.
+     * source is the path of a "HASH:COUNT" file, the path of a directory of
+     * "<PREFIX>.txt" range files, or a readable stream of either kind of file;
+     * options.prefix names the range of a single range file or stream. Lists
+     * are streamed line by line, so multi-gigabyte files can be checked.
+     * Returns {domain, account, count} for every breached password, where
+     * count is the number of times the list has seen it, in the order of
+     * list() and account name. A malformed line throws InvalidInputError.
+     *
+     * Arguments:
+     *   source:  string or stream
+     *   options: object (optional)
+     * Return Type: Promise<Array<object>>
+     */
+    async checkBreaches(source, options) {
+        const entries = [];
+        for (const name of await this.list()) {
+            const accounts = await readAccounts(this, name);
+            for (const account of Object.keys(accounts).sort()) {
+                entries.push({domain: name, account: account, hash: await breachHash(accounts[account].password)});
+            }
+        }
+        const found = await countBreaches(source, entries.map((entry) => entry.hash), options);
+        return entries
+            .filter((entry) => found.has(entry.hash))
+            .map((entry) => ({domain: entry.domain, account: entry.account, count: found.get(entry.hash)}));
+    };
+
+    /**
+     * Returns the domains stored in the keychain, sorted. The names come from
+     * the encrypted domain index, so no record has to be decrypted.
+     *
+     * Return Type: Promise<Array<string>>
+     */
+    async list() {
+        return [...this.secrets.domains].sort();
+    };
+
+    /**
+     * Returns the number of entries (domains) in the keychain.
+     *
+     * Return Type: Promise<number>
+     */
+    async size() {
+        return this.secrets.domains.size;
+    };
+
+    /**
+     * Iterates over the [domain, value] pairs of the keychain in the order of
+     * list(), decrypting each value as it is reached. As with get, the value
+     * is the password of the "default" account (null if the domain has none).
+     *
+     * Return Type: AsyncIterator<[string, string]>
+     */
+    async* entries() {
+        for (const name of await this.list()) {
+            yield [name, await this.get(name)];
+        }
+    };
+
+    [Symbol.asyncIterator]() {
+        return this.entries();
+    };
 }
 
-module.exports = {Keychain}
+module.exports = {
+    Keychain,
+    generatePassword,
+    MemoryStorage,
+    FileStorage,
+    KeychainError,
+    WrongPasswordError,
+    ChecksumMismatchError,
+    RecordTamperedError,
+    InvalidInputError,
+    ValueTooLongError,
+    UnsupportedFormatError,
+    RollbackError,
+    ConflictError,
+    StorageBusyError,
+    LockedError,
+}
@@ -0,0 +1,233 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const {createHash, randomBytes} = require("crypto");
+const {StorageBusyError} = require("./errors");
+
+const CHECKSUM_SUFFIX = ".sha256"; // sidecar file holding the checksum of the vault
+const LOCK_SUFFIX = ".lock";       // advisory lock file held while saving
+const LOCK_RETRY_MS = 50;          // how often a busy lock is tried again
+
+/*
+ * A storage adapter keeps one serialized vault and its checksum. Every
+ * adapter implements
+ *   async read():                   {contents, checksum}, or null if empty
+ *   async write(contents, checksum): replaces both at once
+ * read may add previousChecksum, the checksum the stored contents have if
+ * a write was interrupted before it replaced them.
+ *   async transaction(fn):          runs fn while no other writer can write
+ * Keychain.open and keychain.save use them to detect (and merge) changes
+ * made by other writers since the vault was loaded.
+ */
+
+/**
+ * Storage held in memory, e.g. for tests. Writers sharing one instance are
+ * serialized by transaction like separate processes sharing a file.
+ */
+class MemoryStorage {
+    constructor() {
+        this.stored = null;
+        this.queue = Promise.resolve();
+    }
+
+    async read() {
+        return this.stored === null ? null : {...this.stored};
+    }
+
+    async write(contents, checksum) {
+        this.stored = {contents: contents, checksum: checksum};
+    }
+
+    async transaction(fn) {
+        const result = this.queue.then(() => fn());
+        this.queue = result.catch(() => undefined);
+        return await result;
+    }
+}
+
+// Replaces file in one step: readers see either the old or the new contents,
+// never a partial write, even if the process dies halfway
+async function writeAtomic(file, contents) {
+    const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    try {
+        const handle = await fs.promises.open(temp, "w", 0o600);
+        try {
+            await handle.writeFile(contents);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(temp, file);
+    } catch (e) {
+        await fs.promises.rm(temp, {force: true});
+        throw e;
+    }
+    // Make the rename itself durable; not every platform can sync a directory
+    try {
+        const directory = await fs.promises.open(path.dirname(file), "r");
+        try {
+            await directory.sync();
+        } finally {
+            await directory.close();
+        }
+    } catch (e) {
+        // The data is written either way
+    }
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// The checksum Keychain.dump computes: SHA-256 of the contents, in Base64
+function contentsChecksum(contents) {
+    return createHash("sha256").update(contents).digest("base64");
+}
+
+function uniqueId() {
+    return `${process.pid}-${randomBytes(8).toString("hex")}`;
+}
+
+/**
+ * Storage in a vault file, with its checksum in a "<file>.sha256" sidecar.
+ * Both are written atomically (temp file, fsync, rename), the sidecar first,
+ * listing the new checksum and the one of the vault it replaces: whether a
+ * writer crashes between the two renames or a reader looks in between, the
+ * vault matches one of them. Saves hold an advisory "<file>.lock" file
+ * holding a unique id, so writers using this adapter on the same file take
+ * turns and only ever remove their own lock. options.lockTimeout is how long to wait for the lock
+ * (5 seconds by default) before throwing StorageBusyError; a lock older than
+ * options.staleLockAge (1 minute by default) was left by a writer that died
+ * and is broken.
+ */
+class FileStorage {
+    /**
+     * @param {string} file - The path of the vault file
+     * @param {object} options - {lockTimeout, staleLockAge} in milliseconds (optional)
+     */
+    constructor(file, options = {}) {
+        this.file = file;
+        this.checksumFile = file + CHECKSUM_SUFFIX;
+        this.lockFile = file + LOCK_SUFFIX;
+        this.lockTimeout = options.lockTimeout === undefined ? 5000 : options.lockTimeout;
+        this.staleLockAge = options.staleLockAge === undefined ? 60000 : options.staleLockAge;
+    }
+
+    async read() {
+        let contents;
+        try {
+            contents = await fs.promises.readFile(this.file, "utf8");
+        } catch (e) {
+            if (e.code === "ENOENT") {
+                return null;
+            }
+            throw e;
+        }
+        const [checksum = null, previousChecksum] = (await this.readChecksums()).filter(Boolean);
+        return previousChecksum === undefined
+            ? {contents: contents, checksum: checksum}
+            : {contents: contents, checksum: checksum, previousChecksum: previousChecksum};
+    }
+
+    async readChecksums() {
+        try {
+            return (await fs.promises.readFile(this.checksumFile, "utf8")).split(/\r?\n/).map((line) => line.trim());
+        } catch (e) {
+            if (e.code === "ENOENT") {
+                return [];
+            }
+            throw e;
+        }
+    }
+
+    async write(contents, checksum) {
+        const stored = await this.read();
+        const current = stored === null ? null : contentsChecksum(stored.contents);
+        const lines = [checksum];
+        if (current !== null && current !== checksum && (await this.readChecksums()).includes(current)) {
+            lines.push(current);
+        }
+        await writeAtomic(this.checksumFile, lines.join("\n") + "\n");
+        await writeAtomic(this.file, contents);
+    }
+
+    async transaction(fn) {
+        const id = await this.lock();
+        try {
+            return await fn();
+        } finally {
+            await this.unlock(id);
+        }
+    }
+
+    // Takes the lock, breaking it if it is stale, and returns its id
+    async lock() {
+        const id = uniqueId();
+        const deadline = Date.now() + this.lockTimeout;
+        while (true) {
+            try {
+                const handle = await fs.promises.open(this.lockFile, "wx", 0o600);
+                try {
+                    await handle.writeFile(id);
+                } finally {
+                    await handle.close();
+                }
+                return id;
+            } catch (e) {
+                if (e.code !== "EEXIST") {
+                    throw e;
+                }
+            }
+            try {
+                const holder = await fs.promises.readFile(this.lockFile, "utf8");
+                const stats = await fs.promises.stat(this.lockFile);
+                if (Date.now() - stats.mtimeMs > this.staleLockAge) {
+                    await this.unlock(holder);
+                    continue;
+                }
+            } catch (e) {
+                if (e.code === "ENOENT") {
+                    continue;
+                }
+                throw e;
+            }
+            if (Date.now() >= deadline) {
+                throw new StorageBusyError();
+            }
+            await sleep(LOCK_RETRY_MS);
+        }
+    }
+
+    // Removes the lock if it still holds id. It is renamed out of the way
+    // first, which only one process can do, and put back if it turns out to
+    // have been taken over by another writer meanwhile.
+    async unlock(id) {
+        const aside = `${this.lockFile}.${uniqueId()}`;
+        try {
+            await fs.promises.rename(this.lockFile, aside);
+        } catch (e) {
+            if (e.code === "ENOENT") {
+                return;
+            }
+            throw e;
+        }
+        try {
+            if (await fs.promises.readFile(aside, "utf8") !== id) {
+                await fs.promises.link(aside, this.lockFile).catch((e) => {
+                    if (e.code !== "EEXIST") {
+                        throw e;
+                    }
+                });
+            }
+        } finally {
+            await fs.promises.rm(aside, {force: true});
+        }
+    }
+}
+
+module.exports = {
+    MemoryStorage,
+    FileStorage,
+    writeAtomic,
+}
@@ -0,0 +1,173 @@
+"use strict";
+
+let expect = require('expect.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {PassThrough} = require('stream');
+const {Keychain, InvalidInputError} = require('../password-manager');
+const {Agent} = require('../agent');
+
+describe('Agent', function () {
+    this.timeout(5000);
+    let password = "password123!";
+    let keychain, agent, address;
+
+    function sleep(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+
+    // Sends a request to the agent at address (a socket path or a URL) and
+    // resolves to {status, body}, with the body parsed from JSON
+    function request(target, token, options = {}) {
+        let url = /^http:/.test(address) ? new URL(target, address) : new URL(target, 'http://agent');
+        let headers = token === null ? {} : {authorization: `Bearer ${token}`};
+        let connection = /^http:/.test(address)
+            ? {host: url.hostname, port: url.port}
+            : {socketPath: address};
+        return new Promise((resolve, reject) => {
+            let req = http.request({...connection, path: url.pathname + url.search, method: options.method || 'GET', headers: headers}, (res) => {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => body += chunk);
+                res.on('end', () => resolve({status: res.statusCode, body: JSON.parse(body)}));
+            });
+            req.on('error', reject);
+            req.end();
+        });
+    }
+
+    beforeEach(async function () {
+        keychain = await Keychain.init(password);
+        await keychain.set('www.example.com', 'examplePassword');
+        await keychain.set('example.com', 'workPassword', 'work');
+        await keychain.set('stanford.edu', 'sunetpassword');
+        await keychain.set('google.com', 'googlePassword');
+    });
+
+    afterEach(async function () {
+        if (agent) {
+            await agent.close();
+            agent = null;
+        }
+    });
+
+    it('serves get and list on localhost', async function () {
+        agent = new Agent(keychain);
+        address = await agent.listen({port: 0});
+        expect(address).to.match(/^http:\/\/127\.0\.0\.1:\d+$/);
+        expect(await request('/list', agent.token)).to.eql(
+            {status: 200, body: {domains: ['example.com', 'google.com', 'stanford.edu']}});
+        expect(await request('/get?domain=https://www.example.com/login', agent.token)).to.eql(
+            {status: 200, body: {domain: 'example.com', account: 'default', password: 'examplePassword'}});
+        expect((await request('/get?domain=example.com&account=work', agent.token)).body.password).to.equal('workPassword');
+        expect(await request('/get?domain=github.com', agent.token)).to.eql({status: 404, body: {error: 'NOT_FOUND'}});
+        expect((await request('/get', agent.token)).status).to.equal(400);
+        expect((await request('/remove?domain=example.com', agent.token)).status).to.equal(404);
+        expect((await request('/list', agent.token, {method: 'POST'})).status).to.equal(405);
+    });
+
+    it('serves on a Unix socket only its owner can open', async function () {
+        let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-'));
+        try {
+            agent = new Agent(keychain, {token: 'session-token'});
+            address = await agent.listen({socket: path.join(directory, 'agent.sock')});
+            expect(fs.statSync(address).mode & 0o777).to.equal(0o600);
+            expect(fs.readdirSync(directory)).to.eql(['agent.sock']);
+            expect((await request('/get?domain=stanford.edu', 'session-token')).body.password).to.equal('sunetpassword');
+            await agent.close();
+            agent = null;
+            expect(fs.readdirSync(directory)).to.eql([]);
+
+            fs.writeFileSync(address, '');
+            agent = new Agent(keychain);
+            try {
+                await agent.listen({socket: address});
+                expect().fail('Expected failure');
+            } catch (e) {
+                expect(e.code).to.equal('EEXIST');
+            }
+            expect(fs.readdirSync(directory)).to.eql(['agent.sock']);
+        } finally {
+            fs.rmSync(directory, {recursive: true, force: true});
+        }
+    });
+
+    it('requires the session token', async function () {
+        agent = new Agent(keychain);
+        address = await agent.listen({port: 0});
+        expect(agent.token).to.match(/^[A-Za-z0-9_-]{43}$/);
+        expect(await request('/list', null)).to.eql({status: 401, body: {error: 'UNAUTHORIZED'}});
+        expect((await request('/get?domain=example.com', 'wrong-token')).status).to.equal(401);
+        expect((await request('/nothing', 'wrong-token')).status).to.equal(401);
+        expect(new Agent(keychain).token).not.to.equal(agent.token);
+    });
+
+    it('serves only allowed domains', async function () {
+        agent = new Agent(keychain, {allow: ['www.example.com', 'Stanford.edu']});
+        address = await agent.listen({port: 0});
+        expect((await request('/list', agent.token)).body.domains).to.eql(['example.com', 'stanford.edu']);
+        expect((await request('/get?domain=example.com', agent.token)).status).to.equal(200);
+        expect(await request('/get?domain=google.com', agent.token)).to.eql({status: 403, body: {error: 'NOT_ALLOWED'}});
+        expect(await request('/get?domain=github.com', agent.token)).to.eql({status: 403, body: {error: 'NOT_ALLOWED'}});
+    });
+
+    it('logs every request without secrets', async function () {
+        let auditLog = new PassThrough();
+        let lines = '';
+        auditLog.on('data', (chunk) => lines += chunk);
+        agent = new Agent(keychain, {allow: ['example.com'], auditLog: auditLog});
+        address = await agent.listen({port: 0});
+        await request('/get?domain=example.com', agent.token);
+        await request('/get?domain=google.com', agent.token);
+        await request('/list', 'wrong-token');
+        let entries = lines.trim().split('\n').map((line) => JSON.parse(line));
+        expect(entries.map(({time, ...entry}) => entry)).to.eql([
+            {operation: 'get', domain: 'example.com', account: 'default', status: 200},
+            {operation: 'get', domain: 'google.com', account: 'default', status: 403},
+            {operation: 'list', domain: null, account: 'default', status: 401},
+        ]);
+        expect(Number.isNaN(Date.parse(entries[0].time))).to.be(false);
+        expect(lines).not.to.contain('examplePassword');
+        expect(lines).not.to.contain(agent.token);
+    });
+
+    it('answers with 423 once the keychain locks', async function () {
+        let [contents] = await keychain.dump();
+        keychain = await Keychain.load(password, contents, undefined, {idleTimeout: 200});
+        agent = new Agent(keychain);
+        address = await agent.listen({port: 0});
+        expect((await request('/list', agent.token)).status).to.equal(200);
+        await sleep(400);
+        expect(await request('/get?domain=example.com', agent.token)).to.eql({status: 423, body: {error: 'LOCKED'}});
+        await keychain.unlock(password);
+        expect((await request('/get?domain=example.com', agent.token)).status).to.equal(200);
+    });
+
+    it('locks the keychain and stops after its idle timeout', async function () {
+        agent = new Agent(keychain, {idleTimeout: 300});
+        address = await agent.listen({port: 0});
+        for (let i = 0; i < 3; i++) {
+            await sleep(150);
+            expect((await request('/list', agent.token)).status).to.equal(200);
+        }
+        expect(keychain.isLocked()).to.be(false);
+        expect(await agent.stopped).to.equal('idle');
+        expect(keychain.isLocked()).to.be(true);
+        expect(agent.server.listening).to.be(false);
+        expect(() => new Agent(keychain, {idleTimeout: 0})).to.throwError((e) => expect(e).to.be.an(InvalidInputError));
+    });
+
+    it('listens on loopback addresses only', async function () {
+        let remote = new Agent(keychain);
+        try {
+            await remote.listen({port: 0, host: '0.0.0.0'});
+            expect().fail('Expected failure');
+        } catch (e) {
+            expect(e).to.be.an(InvalidInputError);
+        }
+        expect(() => new Agent(keychain, {allow: 'example.com'})).to.throwError((e) => expect(e).to.be.an(InvalidInputError));
+        expect(() => new Agent(keychain, {token: ''})).to.throwError((e) => expect(e).to.be.an(InvalidInputError));
+    });
+});
@@ -0,0 +1,215 @@
+"use strict";
+
+let expect = require('expect.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {spawn, spawnSync} = require('child_process');
+const {Keychain} = require('../password-manager');
+
+const bin = path.join(__dirname, '..', 'bin', 'keychain.js');
+
+describe('Command line', function () {
+    this.timeout(20000);
+    let password = "password123!";
+    let directory, vault;
+
+    // Runs the CLI on the test vault, passing input (e.g. the passwords, one
+    // per line) on standard input
+    function run(args, input = '') {
+        let result = spawnSync(process.execPath, [bin, '--vault', vault, ...args], {input: input, encoding: 'utf8'});
+        return {status: result.status, stdout: result.stdout, stderr: result.stderr};
+    }
+
+    function withPasswords(args, ...passwords) {
+        return run(['--password-fd', '0', ...args], passwords.join('\n') + '\n');
+    }
+
+    beforeEach(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'keychain-cli-'));
+        vault = path.join(directory, 'vault.json');
+    });
+
+    afterEach(function () {
+        fs.rmSync(directory, {recursive: true, force: true});
+    });
+
+    it('creates a vault with a checksum sidecar', function () {
+        expect(withPasswords(['init'], password).status).to.equal(0);
+        let contents = fs.readFileSync(vault, 'utf8');
+        let checksum = fs.readFileSync(vault + '.sha256', 'utf8').trim();
+        return Keychain.load(password, contents, checksum);
+    });
+
+    it('refuses to replace an existing vault without --force', function () {
+        withPasswords(['init'], password);
+        let result = withPasswords(['init'], 'other password');
+        expect(result.status).to.equal(1);
+        expect(result.stderr).to.contain('already exists');
+        expect(withPasswords(['init', '--force'], 'other password').status).to.equal(0);
+    });
+
+    it('sets, gets, lists and removes entries', function () {
+        withPasswords(['init'], password);
+        expect(withPasswords(['set', 'https://www.example.com/login'], password, 'examplePassword').status).to.equal(0);
+        withPasswords(['set', 'stanford.edu', '--account', 'work'], password, 'sunetpassword');
+        expect(withPasswords(['get', 'example.com'], password).stdout).to.equal('examplePassword\n');
+        expect(withPasswords(['get', 'stanford.edu', '--account', 'work'], password).stdout).to.equal('sunetpassword\n');
+        expect(withPasswords(['list'], password).stdout).to.equal('example.com\nstanford.edu\n');
+
+        expect(withPasswords(['rm', 'example.com'], password).status).to.equal(0);
+        let missing = withPasswords(['get', 'example.com'], password);
+        expect(missing.status).to.equal(1);
+        expect(missing.stdout).to.equal('');
+        expect(withPasswords(['rm', 'example.com'], password).status).to.equal(1);
+    });
+
+    it('generates passwords and stores them on request', function () {
+        let printed = run(['generate', '--length', '24', '--no-symbols']);
+        expect(printed.status).to.equal(0);
+        expect(printed.stdout).to.match(/^[A-Za-z0-9]{24}\n$/);
+        expect(printed.stderr).to.match(/Entropy: \d+ bits/);
+        expect(fs.existsSync(vault)).to.be(false);
+
+        withPasswords(['init'], password);
+        let stored = withPasswords(['generate', 'example.com', '--passphrase', '--words', '4'], password);
+        expect(stored.stdout.trim().split('-')).to.have.length(4);
+        expect(withPasswords(['get', 'example.com'], password).stdout).to.equal(stored.stdout);
+    });
+
+    it('imports exports and writes bundles', async function () {
+        withPasswords(['init'], password);
+        let csv = path.join(directory, 'chrome.csv');
+        fs.writeFileSync(csv, 'name,url,username,password\nexample.com,https://example.com/,alice,examplePassword\n' +
+            `long.com,https://long.com/,bob,${'x'.repeat(65)}\n`);
+        let dryRun = withPasswords(['import', csv, '--format', 'chrome', '--dry-run'], password);
+        expect(dryRun.stdout).to.equal('row 1: imported example.com (default)\nrow 2: skipped (VALUE_TOO_LONG)\n');
+        expect(withPasswords(['list'], password).stdout).to.equal('');
+        withPasswords(['import', csv, '--format', 'chrome'], password);
+        expect(withPasswords(['list'], password).stdout).to.equal('example.com\n');
+
+        let out = path.join(directory, 'bundle.json');
+        expect(withPasswords(['export', 'example.com', '--out', out], password, 'bundle-password').status).to.equal(0);
+        let other = await Keychain.init(password);
+        await other.importBundle(fs.readFileSync(out, 'utf8'), 'bundle-password');
+        expect(await other.get('example.com')).to.equal('examplePassword');
+    });
+
+    it('imports the bundles it exports', function () {
+        withPasswords(['init'], password);
+        withPasswords(['set', 'example.com'], password, 'examplePassword');
+        withPasswords(['set', 'stanford.edu', '--account', 'work'], password, 'sunetpassword');
+        let out = path.join(directory, 'bundle.json');
+        withPasswords(['export', 'example.com', 'stanford.edu', '--out', out], password, 'bundle-password');
+
+        vault = path.join(directory, 'other.json');
+        withPasswords(['init'], password);
+        withPasswords(['set', 'example.com'], password, 'otherPassword');
+        let dryRun = withPasswords(['import', out, '--format', 'bundle', '--dry-run'], password, 'bundle-password');
+        expect(dryRun.stdout).to.equal('imported stanford.edu (work)\nconflict with example.com (default)\n');
+        expect(withPasswords(['list'], password).stdout).to.equal('example.com\n');
+
+        let imported = withPasswords(['import', out, '--format', 'bundle', '--on-conflict', 'overwrite'],
+            password, 'bundle-password');
+        expect(imported.status).to.equal(0);
+        expect(withPasswords(['get', 'example.com'], password).stdout).to.equal('examplePassword\n');
+        expect(withPasswords(['get', 'stanford.edu', '--account', 'work'], password).stdout).to.equal('sunetpassword\n');
+
+        let wrong = withPasswords(['import', out, '--format', 'bundle'], password, 'wrong password');
+        expect(wrong.status).to.equal(1);
+        expect(wrong.stderr).to.contain('Incorrect password');
+    });
+
+    it('verifies the checksum and the master password', function () {
+        withPasswords(['init'], password);
+        withPasswords(['set', 'example.com'], password, 'examplePassword');
+        let wrong = withPasswords(['list'], 'wrong password');
+        expect(wrong.status).to.equal(1);
+        expect(wrong.stderr).to.contain('Incorrect password');
+
+        fs.writeFileSync(vault + '.sha256', 'AAAA\n');
+        let tampered = withPasswords(['list'], password);
+        expect(tampered.status).to.equal(1);
+        expect(tampered.stderr).to.contain('Integrity check failed');
+    });
+
+    it('writes the vault atomically', function () {
+        withPasswords(['init'], password);
+        withPasswords(['set', 'example.com'], password, 'examplePassword');
+        expect(fs.readdirSync(directory).sort()).to.eql(['vault.json', 'vault.json.sha256']);
+        expect(fs.statSync(vault).mode & 0o777).to.equal(0o600);
+    });
+
+    it('serves the vault as an agent until terminated', async function () {
+        withPasswords(['init'], password);
+        withPasswords(['set', 'example.com'], password, 'examplePassword');
+        withPasswords(['set', 'google.com'], password, 'googlePassword');
+        let socket = path.join(directory, 'agent.sock');
+        let auditLog = path.join(directory, 'audit.log');
+        let child = spawn(process.execPath, [bin, '--vault', vault, '--password-fd', '0', 'agent',
+            '--socket', socket, '--allow', 'example.com', '--audit-log', auditLog]);
+        child.stdin.end(password + '\n');
+        let exited = new Promise((resolve) => child.on('exit', resolve));
+        let output = '';
+        child.stdout.setEncoding('utf8');
+        await new Promise((resolve) => child.stdout.on('data', (chunk) => {
+            output += chunk;
+            if (output.split('\n').length > 2) {
+                resolve();
+            }
+        }));
+        expect(output).to.contain(`KEYCHAIN_AGENT=${socket}; export KEYCHAIN_AGENT;`);
+        let token = /KEYCHAIN_AGENT_TOKEN=([^;]+);/.exec(output)[1];
+
+        function get(domain) {
+            return new Promise((resolve, reject) => {
+                http.get({socketPath: socket, path: `/get?domain=${domain}`, headers: {authorization: `Bearer ${token}`}}, (res) => {
+                    let body = '';
+                    res.on('data', (chunk) => body += chunk);
+                    res.on('end', () => resolve({status: res.statusCode, body: JSON.parse(body)}));
+                }).on('error', reject);
+            });
+        }
+
+        expect((await get('example.com')).body.password).to.equal('examplePassword');
+        expect((await get('google.com')).status).to.equal(403);
+        child.kill('SIGTERM');
+        expect(await exited).to.equal(0);
+        expect(fs.readFileSync(auditLog, 'utf8').trim().split('\n')).to.have.length(2);
+        expect(fs.existsSync(socket)).to.be(false);
+    });
+
+    it('stops the agent once it locks the vault', async function () {
+        withPasswords(['init'], password);
+        let socket = path.join(directory, 'agent.sock');
+        let child = spawn(process.execPath, [bin, '--vault', vault, '--password-fd', '0', 'agent',
+            '--socket', socket, '--idle-timeout', '1']);
+        child.stdin.end(password + '\n');
+        let stderr = '';
+        child.stderr.on('data', (chunk) => stderr += chunk);
+        expect(await new Promise((resolve) => child.on('exit', resolve))).to.equal(0);
+        expect(stderr).to.equal('keychain: locked the vault after 1 seconds without requests\n');
+        expect(fs.existsSync(socket)).to.be(false);
+    });
+
+    it('reports file errors without a stack trace', function () {
+        withPasswords(['init'], password);
+        let missing = withPasswords(['import', path.join(directory, 'nope.csv'), '--format', 'chrome'], password);
+        expect(missing.status).to.equal(1);
+        expect(missing.stderr).to.equal(`keychain: ${path.join(directory, 'nope.csv')}: No such file or directory\n`);
+        let closed = run(['--password-fd', '9', 'list']);
+        expect(closed.status).to.equal(1);
+        expect(closed.stderr).to.match(/^keychain: file descriptor 9: .+\n$/);
+    });
+
+    it('reports usage errors', function () {
+        expect(run(['frobnicate']).status).to.equal(2);
+        expect(run(['get']).status).to.equal(2);
+        expect(run(['--help']).stdout).to.contain('Usage: keychain');
+        expect(run(['agent', '--password-fd', '0']).status).to.equal(2);
+        let noTerminal = run(['list']);
+        expect(noTerminal.status).to.equal(2);
+        expect(noTerminal.stderr).to.contain('--password-fd');
+    });
+});
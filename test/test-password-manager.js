@@ -1,7 +1,34 @@
 "use strict";
 
 let expect = require('expect.js');
-const {Keychain} = require('../password-manager');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {createHash} = require('crypto');
+const {Readable} = require('stream');
+const {
+    Keychain,
+    generatePassword,
+    MemoryStorage,
+    FileStorage,
+    KeychainError,
+    WrongPasswordError,
+    RecordTamperedError,
+    InvalidInputError,
+    ValueTooLongError,
+    UnsupportedFormatError,
+    RollbackError,
+    ConflictError,
+    StorageBusyError,
+    LockedError,
+} = require('../password-manager');
+const legacyVault = require('./fixtures/vault-v1.json');
+const v2Vault = require('./fixtures/vault-v2.json');
+const v4Vault = require('./fixtures/vault-v4.json');
+const v7Vault = require('./fixtures/vault-v7.json');
+
+// Version of the dump format written by the current code
+const currentVersion = 11;
 
 function expectReject(promise) {
     return promise.then(
@@ -11,6 +38,28 @@ function expectReject(promise) {
     );
 }
 
+// The parts of a dump that only change when the vault is re-keyed or edited
+async function vaultState(keychain) {
+    let contentsObj = JSON.parse((await keychain.dump())[0]);
+    return {kdf: contentsObj.kdf, kvs: contentsObj.kvs, secrets: contentsObj.secrets};
+}
+
+// Loads a fresh dump of keychain and swaps in the records of contentsObj.
+// load rejects an edited dump as a whole by its MAC, so this is how the checks
+// binding every record to its own domain and vault are reached.
+async function withRecords(keychain, password, contentsObj) {
+    let loaded = await Keychain.load(password, (await keychain.dump())[0]);
+    loaded.kvs = contentsObj.kvs;
+    return loaded;
+}
+
+function expectRejectWith(promise, errorClass) {
+    return promise.then(
+        (result) => expect().fail(`Expected failure, but function returned ${result}`),
+        (error) => expect(error).to.be.an(errorClass),
+    );
+}
+
 describe('Password manager', async function () {
     this.timeout(5000);
     let password = "password123!";
@@ -110,6 +159,1591 @@ describe('Password manager', async function () {
             let checksum = data[1];
             await expectReject(Keychain.load("fakepassword", contents, checksum));
         });
+
+        it('loads and upgrades a vault written in the legacy single-IV format', async function () {
+            let keychain = await Keychain.load(password, legacyVault.contents, legacyVault.checksum);
+            expect(await keychain.get('service1')).to.equal('value1');
+            expect(await keychain.get('www.stanford.edu')).to.equal('sunetpassword');
+
+            let data = await keychain.dump();
+            let contentsObj = JSON.parse(data[0]);
+            expect(contentsObj.version).to.equal(currentVersion);
+            expect(contentsObj.secrets).not.to.have.key('iv');
+            let reloaded = await Keychain.load(password, data[0], data[1]);
+            expect(await reloaded.get('service1')).to.equal('value1');
+        });
+
+        it('rejects a legacy vault opened with an incorrect password', async function () {
+            await expectReject(Keychain.load("fakepassword", legacyVault.contents, legacyVault.checksum));
+        });
+
+        it('loads and upgrades a version 2 vault', async function () {
+            let keychain = await Keychain.load(password, v2Vault.contents, v2Vault.checksum);
+            expect(await keychain.get('service1')).to.equal('value1');
+            expect(await keychain.get('www.stanford.edu')).to.equal('sunetpassword');
+            let contentsObj = JSON.parse((await keychain.dump())[0]);
+            expect(contentsObj.version).to.equal(currentVersion);
+            expect(contentsObj.secrets).not.to.have.key('encKey');
+            await expectReject(Keychain.load("fakepassword", v2Vault.contents, v2Vault.checksum));
+        });
+
+        it('loads and upgrades a version 4 vault, checking its MAC', async function () {
+            let keychain = await Keychain.load(password, v4Vault.contents, v4Vault.checksum, {minCounter: 1});
+            expect(await keychain.list()).to.eql(['service1', 'stanford.edu']);
+            expect(await keychain.get('www.stanford.edu')).to.equal('sunetpassword');
+
+            let forged = {...JSON.parse(v4Vault.contents), counter: 2};
+            await expectRejectWith(Keychain.load(password, JSON.stringify(forged), undefined, {minCounter: 2}), RecordTamperedError);
+        });
+
+        it('can be dumped, loaded and updated again any number of times', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('service1', 'value1');
+            let data = await keychain.dump();
+            for (let i = 2; i <= 4; i++) {
+                keychain = await Keychain.load(password, data[0], data[1]);
+                await keychain.set('service' + i, 'value' + i);
+                data = await keychain.dump();
+            }
+            keychain = await Keychain.load(password, data[0], data[1]);
+            for (let i = 1; i <= 4; i++) {
+                expect(await keychain.get('service' + i)).to.equal('value' + i);
+            }
+            await expectRejectWith(Keychain.load("fakepassword", data[0], data[1]), WrongPasswordError);
+        });
+
+        it('can change the password of a loaded keychain', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('service1', 'value1');
+            let data = await keychain.dump();
+            keychain = await Keychain.load(password, data[0], data[1]);
+            await keychain.changePassword(password, 'otherPassword');
+            data = await keychain.dump();
+            keychain = await Keychain.load('otherPassword', data[0], data[1]);
+            expect(await keychain.get('service1')).to.equal('value1');
+        });
+
+        it('writes a versioned dump describing its KDF and cipher suite', async function () {
+            let keychain = await Keychain.init(password);
+            let contentsObj = JSON.parse((await keychain.dump())[0]);
+            expect(contentsObj.version).to.equal(currentVersion);
+            expect(contentsObj.kdf).to.eql({name: 'PBKDF2', params: {hash: 'SHA-256', iterations: 100000}});
+            expect(contentsObj.cipher).to.be.a('string');
+        });
+
+        it('rejects dumps from a future format version', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('service1', 'value1');
+            let contentsObj = JSON.parse((await keychain.dump())[0]);
+            contentsObj.version = 99;
+            await expectRejectWith(Keychain.load(password, JSON.stringify(contentsObj)), UnsupportedFormatError);
+        });
+
+        it('rejects dumps using an unknown KDF or cipher suite', async function () {
+            let keychain = await Keychain.init(password);
+            let contentsObj = JSON.parse((await keychain.dump())[0]);
+            let unknownKdf = {...contentsObj, kdf: {name: 'bcrypt', params: {}}};
+            let unknownCipher = {...contentsObj, cipher: 'ROT13'};
+            await expectRejectWith(Keychain.load(password, JSON.stringify(unknownKdf)), UnsupportedFormatError);
+            await expectRejectWith(Keychain.load(password, JSON.stringify(unknownCipher)), UnsupportedFormatError);
+        });
+    });
+
+    describe('records', async function () {
+        let record = {
+            username: 'alice',
+            password: 'sunetpassword',
+            url: 'https://www.stanford.edu/login',
+            notes: 'Security question: first pet',
+            tags: ['school', 'sso'],
+        };
+
+        it('can set and retrieve a structured record', async function () {
+            let keychain = await Keychain.init(password);
+            let before = Date.now();
+            await keychain.setRecord('www.stanford.edu', record);
+            let stored = await keychain.getRecord('www.stanford.edu');
+            expect(stored).to.eql({...record, created: stored.created, modified: stored.modified, passwordChanged: stored.created});
+            expect(stored.created).to.be.within(before, Date.now());
+            expect(stored.modified).to.equal(stored.created);
+            expect(await keychain.get('www.stanford.edu')).to.equal('sunetpassword');
+            expect(await keychain.getRecord('www.example.com')).to.be(null);
+        });
+
+        it('fills in defaults for fields left out', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'password1');
+            let stored = await keychain.getRecord('www.example.com');
+            expect(stored.password).to.equal('password1');
+            expect(stored.username).to.equal('');
+            expect(stored.tags).to.eql([]);
+        });
+
+        it('keeps the other fields and created time when set updates the password', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.setRecord('www.stanford.edu', record);
+            let created = (await keychain.getRecord('www.stanford.edu')).created;
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            await keychain.set('www.stanford.edu', 'newpassword');
+            let stored = await keychain.getRecord('www.stanford.edu');
+            expect(stored.username).to.equal('alice');
+            expect(stored.tags).to.eql(['school', 'sso']);
+            expect(stored.password).to.equal('newpassword');
+            expect(stored.created).to.equal(created);
+            expect(stored.modified).to.be.greaterThan(created);
+        });
+
+        it('keeps records across dump and load', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.setRecord('www.stanford.edu', record);
+            let data = await keychain.dump();
+            expect(data[0]).not.to.contain('alice');
+            let newKeychain = await Keychain.load(password, data[0], data[1]);
+            expect(await newKeychain.getRecord('www.stanford.edu')).to.eql(await keychain.getRecord('www.stanford.edu'));
+        });
+
+        it('reads password-only entries from older vaults as records', async function () {
+            let keychain = await Keychain.load(password, v4Vault.contents, v4Vault.checksum);
+            let stored = await keychain.getRecord('www.stanford.edu');
+            expect(stored.password).to.equal('sunetpassword');
+            expect(stored.username).to.equal('');
+        });
+
+        it('rejects malformed records', async function () {
+            let keychain = await Keychain.init(password);
+            await expectRejectWith(keychain.setRecord('www.example.com', null), InvalidInputError);
+            await expectRejectWith(keychain.setRecord('www.example.com', {username: 'alice'}), InvalidInputError);
+            await expectRejectWith(keychain.setRecord('www.example.com', {password: 'pw', tags: 'a'}), InvalidInputError);
+            await expectRejectWith(keychain.setRecord('www.example.com', {password: 'pw', pin: '1234'}), InvalidInputError);
+            await expectRejectWith(keychain.setRecord('www.example.com', {password: 'pw', created: 0}), InvalidInputError);
+            await expectRejectWith(keychain.setRecord('  ', {password: 'pw'}), InvalidInputError);
+            await expectRejectWith(keychain.setRecord('www.example.com', {password: 'x'.repeat(65)}), ValueTooLongError);
+        });
+    });
+
+    describe('domain normalization', async function () {
+
+        it('finds an entry however its domain is written', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('https://www.Example.com/login', 'examplePassword');
+            expect(await keychain.get('example.com')).to.equal('examplePassword');
+            expect(await keychain.get('Example.com ')).to.equal('examplePassword');
+            expect(await keychain.get('EXAMPLE.COM.')).to.equal('examplePassword');
+            expect(await keychain.get('example.com:8443/account?x=1')).to.equal('examplePassword');
+            expect(await keychain.list()).to.eql(['example.com']);
+            expect(await keychain.remove('www.example.com')).to.be(true);
+            expect(await keychain.size()).to.equal(0);
+        });
+
+        it('rejects names without a domain', async function () {
+            let keychain = await Keychain.init(password);
+            await expectRejectWith(keychain.set('/login', 'pw'), InvalidInputError);
+            await expectRejectWith(keychain.setRecord('/login', {password: 'pw'}), InvalidInputError);
+            await expectRejectWith(keychain.get('?x=1'), InvalidInputError);
+            expect(await keychain.list()).to.eql([]);
+        });
+
+        it('stores internationalized domains as punycode', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('https://Bücher.de/', 'buecherPassword');
+            expect(await keychain.list()).to.eql(['xn--bcher-kva.de']);
+            expect(await keychain.get('xn--bcher-kva.de')).to.equal('buecherPassword');
+        });
+
+        it('can keep www. as part of the domain', async function () {
+            let keychain = await Keychain.init(password, {normalization: {stripWww: false}});
+            await keychain.set('www.example.com', 'wwwPassword');
+            expect(await keychain.get('example.com')).to.be(null);
+            let data = await keychain.dump();
+            let newKeychain = await Keychain.load(password, data[0], data[1]);
+            expect(await newKeychain.get('WWW.example.com')).to.equal('wwwPassword');
+            expect(await newKeychain.list()).to.eql(['www.example.com']);
+        });
+
+        it('rejects invalid normalization settings', async function () {
+            await expectRejectWith(Keychain.init(password, {normalization: {stripWww: 'yes'}}), InvalidInputError);
+            await expectRejectWith(Keychain.init(password, {normalization: {lowercase: false}}), InvalidInputError);
+        });
+
+        it('finds the best entry for a URL by registrable domain', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('example.co.uk', 'sitePassword');
+            await keychain.set('accounts.example.co.uk', 'accountsPassword');
+            await keychain.set('other.co.uk', 'otherPassword');
+
+            let exact = await keychain.findForUrl('https://accounts.example.co.uk/signin');
+            expect(exact.domain).to.equal('accounts.example.co.uk');
+            expect(exact.accounts.default.password).to.equal('accountsPassword');
+            expect((await keychain.findForUrl('https://login.example.co.uk/')).domain).to.equal('example.co.uk');
+            expect((await keychain.findForUrl('https://a.b.accounts.example.co.uk/')).domain).to.equal('accounts.example.co.uk');
+            expect(await keychain.findForUrl('https://co.uk/')).to.be(null);
+            expect(await keychain.findForUrl('https://example.com/')).to.be(null);
+
+            await keychain.remove('example.co.uk');
+            expect((await keychain.findForUrl('https://www.example.co.uk/')).domain).to.equal('accounts.example.co.uk');
+        });
+
+        it('can restrict URL lookups to exact matches', async function () {
+            let keychain = await Keychain.init(password, {normalization: {matchSubdomains: false}});
+            await keychain.set('example.com', 'sitePassword');
+            expect(await keychain.findForUrl('https://login.example.com/')).to.be(null);
+            expect((await keychain.findForUrl('https://www.example.com/')).domain).to.equal('example.com');
+        });
+
+        it('normalizes the domains of older vaults when upgrading', async function () {
+            let keychain = await Keychain.load(password, v4Vault.contents, v4Vault.checksum);
+            expect(await keychain.get('https://www.stanford.edu/')).to.equal('sunetpassword');
+            let contentsObj = JSON.parse((await keychain.dump())[0]);
+            expect(contentsObj.normalization).to.eql({stripWww: true, matchSubdomains: true});
+        });
+
+        it('merges entries whose names collide when upgrading', async function () {
+            // Written with "Example.com" (older) and "example.com" (newer, plus a work account)
+            let keychain = await Keychain.load(password, v7Vault.contents, v7Vault.checksum);
+            expect(await keychain.list()).to.eql(['example.com', 'stanford.edu']);
+            expect(await keychain.get('example.com')).to.equal('newerPassword');
+            expect(await keychain.get('example.com', 'work')).to.equal('workPassword');
+            expect(Object.keys(JSON.parse((await keychain.dump())[0]).kvs)).to.have.length(2);
+        });
+    });
+
+    describe('accounts', async function () {
+
+        it('keeps several named accounts under one domain', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'personalPassword', 'personal');
+            await keychain.setRecord('www.example.com', {username: 'alice@work', password: 'workPassword'}, 'work');
+            expect(await keychain.get('www.example.com', 'personal')).to.equal('personalPassword');
+            expect((await keychain.getRecord('www.example.com', 'work')).username).to.equal('alice@work');
+            expect(await keychain.listAccounts('www.example.com')).to.eql(['personal', 'work']);
+            expect(await keychain.listAccounts('www.stanford.edu')).to.eql([]);
+            expect(await keychain.size()).to.equal(1);
+        });
+
+        it('uses the default account when none is given', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'defaultPassword');
+            await keychain.set('www.example.com', 'workPassword', 'work');
+            expect(await keychain.get('www.example.com')).to.equal('defaultPassword');
+            expect(await keychain.get('www.example.com', 'default')).to.equal('defaultPassword');
+            expect(await keychain.listAccounts('www.example.com')).to.eql(['default', 'work']);
+
+            let onlyWork = await Keychain.init(password);
+            await onlyWork.set('www.example.com', 'workPassword', 'work');
+            expect(await onlyWork.get('www.example.com')).to.be(null);
+        });
+
+        it('removes a single account', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'personalPassword', 'personal');
+            await keychain.set('www.example.com', 'workPassword', 'work');
+            expect(await keychain.removeAccount('www.example.com', 'work')).to.be(true);
+            expect(await keychain.removeAccount('www.example.com', 'work')).to.be(false);
+            expect(await keychain.get('www.example.com', 'work')).to.be(null);
+            expect(await keychain.get('www.example.com', 'personal')).to.equal('personalPassword');
+
+            expect(await keychain.removeAccount('www.example.com', 'personal')).to.be(true);
+            expect(await keychain.list()).to.eql([]);
+            expect(JSON.parse((await keychain.dump())[0]).kvs).to.eql({});
+        });
+
+        it('removes every account of a domain with remove', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'personalPassword', 'personal');
+            await keychain.set('www.example.com', 'workPassword', 'work');
+            expect(await keychain.remove('www.example.com')).to.be(true);
+            expect(await keychain.listAccounts('www.example.com')).to.eql([]);
+        });
+
+        it('keeps accounts across dump, load and password changes', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'personalPassword', 'personal');
+            await keychain.set('www.example.com', 'workPassword', 'work');
+            let data = await keychain.dump();
+            let newKeychain = await Keychain.load(password, data[0], data[1]);
+            await newKeychain.changePassword(password, 'otherPassword');
+            expect(await newKeychain.get('www.example.com', 'work')).to.equal('workPassword');
+            expect(await newKeychain.listAccounts('www.example.com')).to.eql(['personal', 'work']);
+        });
+
+        it('reads entries from older vaults as the default account', async function () {
+            let keychain = await Keychain.load(password, v4Vault.contents, v4Vault.checksum);
+            expect(await keychain.listAccounts('www.stanford.edu')).to.eql(['default']);
+        });
+
+        it('rejects blank account names', async function () {
+            let keychain = await Keychain.init(password);
+            await expectRejectWith(keychain.set('www.example.com', 'pw', ' '), InvalidInputError);
+            await expectRejectWith(keychain.getRecord('www.example.com', ''), InvalidInputError);
+            await expectRejectWith(keychain.removeAccount('www.example.com'), InvalidInputError);
+        });
+    });
+
+    describe('history', async function () {
+
+        it('keeps previous passwords with timestamps', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'firstPassword');
+            let first = await keychain.getRecord('www.example.com');
+            await keychain.set('www.example.com', 'secondPassword');
+            await keychain.set('www.example.com', 'thirdPassword');
+            let history = await keychain.getHistory('www.example.com');
+            expect(history.map((entry) => entry.password)).to.eql(['secondPassword', 'firstPassword']);
+            expect(history[1].modified).to.equal(first.modified);
+            expect(history[1].replaced).to.be.within(first.modified, history[0].replaced);
+            expect(await keychain.getRecord('www.example.com')).not.to.have.property('history');
+            expect(await keychain.getHistory('www.stanford.edu')).to.eql([]);
+        });
+
+        it('only records password changes', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.setRecord('www.example.com', {username: 'alice', password: 'firstPassword'});
+            await keychain.setRecord('www.example.com', {username: 'bob', password: 'firstPassword'});
+            expect(await keychain.getHistory('www.example.com')).to.eql([]);
+            await keychain.set('www.example.com', 'workPassword', 'work');
+            await keychain.set('www.example.com', 'newWorkPassword', 'work');
+            expect(await keychain.getHistory('www.example.com')).to.eql([]);
+            expect((await keychain.getHistory('www.example.com', 'work'))[0].password).to.equal('workPassword');
+        });
+
+        it('keeps at most the configured number of passwords', async function () {
+            let keychain = await Keychain.init(password, {historyDepth: 2});
+            for (let i = 0; i < 5; i++) {
+                await keychain.set('www.example.com', `password${i}`);
+            }
+            let history = await keychain.getHistory('www.example.com');
+            expect(history.map((entry) => entry.password)).to.eql(['password3', 'password2']);
+
+            let noHistory = await Keychain.init(password, {historyDepth: 0});
+            await noHistory.set('www.example.com', 'password0');
+            await noHistory.set('www.example.com', 'password1');
+            expect(await noHistory.getHistory('www.example.com')).to.eql([]);
+            await expectRejectWith(Keychain.init(password, {historyDepth: -1}), InvalidInputError);
+        });
+
+        it('restores a previous password', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.setRecord('www.example.com', {username: 'alice', password: 'firstPassword'});
+            await keychain.set('www.example.com', 'secondPassword');
+            await keychain.set('www.example.com', 'thirdPassword');
+            await keychain.restoreVersion('www.example.com', 1);
+            let stored = await keychain.getRecord('www.example.com');
+            expect(stored.password).to.equal('firstPassword');
+            expect(stored.username).to.equal('alice');
+            let history = await keychain.getHistory('www.example.com');
+            expect(history.map((entry) => entry.password)).to.eql(['thirdPassword', 'secondPassword']);
+
+            await keychain.restoreVersion('www.example.com', 0);
+            expect(await keychain.get('www.example.com')).to.equal('thirdPassword');
+        });
+
+        it('rejects history positions that do not exist', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'firstPassword');
+            await keychain.set('www.example.com', 'secondPassword');
+            await expectRejectWith(keychain.restoreVersion('www.example.com', 1), InvalidInputError);
+            await expectRejectWith(keychain.restoreVersion('www.example.com', -1), InvalidInputError);
+            await expectRejectWith(keychain.restoreVersion('www.example.com', '0'), InvalidInputError);
+            await expectRejectWith(keychain.restoreVersion('www.stanford.edu', 0), InvalidInputError);
+        });
+
+        it('keeps the history encrypted across dump, load and password changes', async function () {
+            let keychain = await Keychain.init(password, {historyDepth: 3});
+            await keychain.set('www.example.com', 'oldSecretPassword');
+            await keychain.set('www.example.com', 'newPassword');
+            let data = await keychain.dump();
+            expect(data[0]).not.to.contain('oldSecretPassword');
+            expect(JSON.parse(data[0]).historyDepth).to.equal(3);
+            let newKeychain = await Keychain.load(password, data[0], data[1]);
+            await newKeychain.changePassword(password, 'otherPassword');
+            expect(await newKeychain.getHistory('www.example.com')).to.eql(await keychain.getHistory('www.example.com'));
+            await newKeychain.restoreVersion('www.example.com', 0);
+            expect(await newKeychain.get('www.example.com')).to.equal('oldSecretPassword');
+        });
+
+        it('starts older vaults with an empty history', async function () {
+            let keychain = await Keychain.load(password, v7Vault.contents, v7Vault.checksum);
+            expect(await keychain.getHistory('example.com')).to.eql([]);
+            await keychain.set('example.com', 'rotatedPassword');
+            expect((await keychain.getHistory('example.com'))[0].password).to.equal('newerPassword');
+            expect(JSON.parse((await keychain.dump())[0]).historyDepth).to.equal(10);
+        });
+    });
+
+    describe('password generator', async function () {
+
+        it('generates passwords of the requested length and classes', async function () {
+            for (let i = 0; i < 20; i++) {
+                let {password: generated, entropy} = generatePassword({length: 12, symbols: false});
+                expect(generated).to.match(/^[A-Za-z0-9]{12}$/);
+                expect(generated).to.match(/[a-z]/);
+                expect(generated).to.match(/[A-Z]/);
+                expect(generated).to.match(/[0-9]/);
+                expect(entropy).to.be.within(12 * Math.log2(62) - 1, 12 * Math.log2(62));
+            }
+            expect(generatePassword().password).to.have.length(20);
+            expect(generatePassword({length: 8, upper: false, digits: false, symbols: false}).entropy)
+                .to.be.within(8 * Math.log2(26) - 1e-9, 8 * Math.log2(26) + 1e-9);
+        });
+
+        it('leaves out ambiguous characters on request', async function () {
+            let {password: generated} = generatePassword({length: 64, excludeAmbiguous: true});
+            expect(generated).not.to.match(/[0O1Il|]/);
+        });
+
+        it('generates word-list passphrases', async function () {
+            let {password: generated, entropy} = generatePassword({passphrase: true, words: 5, separator: ' '});
+            expect(generated.split(' ')).to.have.length(5);
+            expect(entropy).to.be.within(5 * Math.log2(7776) - 1e-9, 5 * Math.log2(7776) + 1e-9);
+
+            let custom = generatePassword({passphrase: true, words: 3, wordList: ['alpha', 'beta']});
+            expect(custom.password).to.match(/^(alpha|beta)-(alpha|beta)-(alpha|beta)$/);
+            expect(custom.entropy).to.equal(3);
+        });
+
+        it('respects the maximum password length', async function () {
+            expect(generatePassword({length: 64}).password).to.have.length(64);
+            expect(() => generatePassword({length: 65})).to.throwError((e) => expect(e).to.be.a(ValueTooLongError));
+            expect(() => generatePassword({passphrase: true, words: 7})).to.throwError((e) => expect(e).to.be.a(ValueTooLongError));
+        });
+
+        it('rejects impossible policies', async function () {
+            for (let policy of [null, {length: 0}, {length: 2.5}, {length: 3},
+                {lower: false, upper: false, digits: false, symbols: false},
+                {passphrase: true, words: 0}, {passphrase: true, wordList: ['same', 'same']}]) {
+                expect(() => generatePassword(policy)).to.throwError((e) => expect(e).to.be.a(InvalidInputError));
+            }
+        });
+
+        it('generates and stores a password', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'oldPassword');
+            let generated = await keychain.generateAndSet('https://www.example.com/login', {length: 32});
+            expect(generated.password).to.have.length(32);
+            expect(await keychain.get('example.com')).to.equal(generated.password);
+            expect((await keychain.getHistory('example.com'))[0].password).to.equal('oldPassword');
+            await keychain.generateAndSet('www.example.com', {passphrase: true, words: 4}, 'work');
+            expect((await keychain.get('www.example.com', 'work')).split('-')).to.have.length(4);
+            await expectRejectWith(keychain.generateAndSet('www.example.com', {length: 65}), ValueTooLongError);
+        });
+    });
+
+    describe('audit', async function () {
+
+        it('reports reused passwords', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'Shared-Secret-9281!');
+            await keychain.set('www.stanford.edu', 'Shared-Secret-9281!', 'work');
+            await keychain.set('www.google.com', 'Unique-Secret-4730?');
+            let report = await keychain.audit();
+            expect(report.checked).to.equal(3);
+            expect(report.reused).to.eql([[
+                {domain: 'example.com', account: 'default'},
+                {domain: 'stanford.edu', account: 'work'},
+            ]]);
+            expect(JSON.stringify(report)).not.to.contain('Secret');
+        });
+
+        it('reports weak passwords with their reasons', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('common.com', 'P@ssw0rd2024!');
+            await keychain.set('sequence.com', 'Zq9-abcdef-Lm2X-Tr8w');
+            await keychain.set('repeat.com', 'Xy7!Xy7!Xy7!Xy7!');
+            await keychain.set('short.com', 'kq8Ff');
+            await keychain.set('strong.com', 'v9#Tq2mW!xR4kLp7zN&e');
+            let weak = (await keychain.audit()).weak;
+            let reasons = Object.fromEntries(weak.map((entry) => [entry.domain, entry.reasons]));
+            expect(reasons['common.com']).to.contain('common');
+            expect(reasons['sequence.com']).to.eql(['sequence']);
+            expect(reasons['repeat.com']).to.contain('repetition');
+            expect(reasons['short.com']).to.eql(['low-entropy']);
+            expect(reasons).not.to.have.property('strong.com');
+            expect(weak.find((entry) => entry.domain === 'short.com').entropy).to.be.within(28, 30);
+
+            let strict = await keychain.audit({minEntropy: 200});
+            expect(strict.weak.map((entry) => entry.domain)).to.contain('strong.com');
+        });
+
+        it('reports passwords older than the configured age', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'Old-Secret-9281!');
+            let changed = (await keychain.getRecord('www.example.com')).passwordChanged;
+            let day = 24 * 60 * 60 * 1000;
+            expect((await keychain.audit()).stale).to.eql([]);
+            expect((await keychain.audit({now: changed + 400 * day})).stale).to.eql([
+                {domain: 'example.com', account: 'default', passwordChanged: changed},
+            ]);
+            expect((await keychain.audit({now: changed + 400 * day, maxAge: 500 * day})).stale).to.eql([]);
+
+            // Edits that keep the password do not make it any fresher
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            await keychain.setRecord('example.com', {password: 'Old-Secret-9281!', notes: 'edited'});
+            await keychain.set('example.com', 'Old-Secret-9281!');
+            let record = await keychain.getRecord('example.com');
+            expect(record.modified).to.be.greaterThan(changed);
+            expect(record.passwordChanged).to.equal(changed);
+            expect((await keychain.audit({now: changed + 400 * day})).stale).to.have.length(1);
+            await keychain.set('example.com', 'New-Secret-4417!');
+            expect((await keychain.getRecord('example.com')).passwordChanged).to.be.greaterThan(changed);
+
+            let older = await Keychain.load(password, v4Vault.contents, v4Vault.checksum);
+            expect((await older.audit()).stale).to.have.length(await older.size());
+        });
+
+        it('does not modify the vault', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'password');
+            let before = await vaultState(keychain);
+            await keychain.audit();
+            expect(await vaultState(keychain)).to.eql(before);
+        });
+
+        it('rejects invalid options', async function () {
+            let keychain = await Keychain.init(password);
+            await expectRejectWith(keychain.audit({maxAge: -1}), InvalidInputError);
+            await expectRejectWith(keychain.audit({minEntropy: '50'}), InvalidInputError);
+            await expectRejectWith(keychain.audit({reuse: true}), InvalidInputError);
+        });
+    });
+
+    describe('breach check', async function () {
+        let directory;
+
+        function sha1(value) {
+            return createHash('sha1').update(value).digest('hex').toUpperCase();
+        }
+
+        async function breachedKeychain() {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'password');
+            await keychain.set('www.example.com', 'letmein', 'work');
+            await keychain.set('www.stanford.edu', 'letmein');
+            await keychain.set('www.google.com', 'Unbreached-Secret-4730?');
+            return keychain;
+        }
+
+        // A full list with a few unrelated hashes around the breached ones
+        let lines = [
+            `${sha1('123456')}:37359195`,
+            `${sha1('password')}:9545824`,
+            `${sha1('letmein')}:449203`,
+            `${sha1('qwerty')}:10556095`,
+        ];
+
+        before(function () {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'breaches-'));
+        });
+
+        after(function () {
+            fs.rmSync(directory, {recursive: true, force: true});
+        });
+
+        it('finds breached passwords in a full hash list', async function () {
+            let file = path.join(directory, 'pwned-passwords.txt');
+            fs.writeFileSync(file, lines.join('\r\n') + '\r\n');
+            let keychain = await breachedKeychain();
+            expect(await keychain.checkBreaches(file)).to.eql([
+                {domain: 'example.com', account: 'default', count: 9545824},
+                {domain: 'example.com', account: 'work', count: 449203},
+                {domain: 'stanford.edu', account: 'default', count: 449203},
+            ]);
+        });
+
+        it('reads a directory of range files', async function () {
+            let ranges = path.join(directory, 'ranges');
+            fs.mkdirSync(ranges);
+            let hash = sha1('password');
+            fs.writeFileSync(path.join(ranges, `${hash.slice(0, 5)}.txt`),
+                `003D68EB55068C33ACE09247EE4C639306B:3\n${hash.slice(5)}:9545824\n`);
+            let keychain = await breachedKeychain();
+            expect(await keychain.checkBreaches(ranges)).to.eql([
+                {domain: 'example.com', account: 'default', count: 9545824},
+            ]);
+        });
+
+        it('reads streams of hashes or of a single range', async function () {
+            let keychain = await breachedKeychain();
+            let found = await keychain.checkBreaches(Readable.from([lines.join('\n')]));
+            expect(found.map((entry) => entry.domain)).to.eql(['example.com', 'example.com', 'stanford.edu']);
+
+            let hash = sha1('letmein');
+            let range = Readable.from([`${hash.slice(5)}:449203\n`]);
+            found = await keychain.checkBreaches(range, {prefix: hash.slice(0, 5).toLowerCase()});
+            expect(found.map((entry) => entry.account)).to.eql(['work', 'default']);
+        });
+
+        it('rejects malformed lists', async function () {
+            let keychain = await breachedKeychain();
+            await expectRejectWith(keychain.checkBreaches(Readable.from(['not a hash list\n'])), InvalidInputError);
+            await expectRejectWith(keychain.checkBreaches(Readable.from([`${sha1('password')}:1\n`]), {prefix: '5BAA6'}),
+                InvalidInputError);
+            await expectRejectWith(keychain.checkBreaches(Readable.from([]), {prefix: 'XYZ'}), InvalidInputError);
+            await expectRejectWith(keychain.checkBreaches(42), InvalidInputError);
+        });
+    });
+
+    describe('import', async function () {
+        let chromeCsv = [
+            'name,url,username,password,note',
+            'www.example.com,https://www.example.com/login,alice,examplePassword,"Security question: ""first pet"", dog"',
+            'stanford.edu,https://login.stanford.edu/,bob,sunetpassword,',
+            'blank,,,noDomainPassword,',
+            'long.com,https://long.com/,carol,' + 'x'.repeat(65) + ',',
+            'empty.com,https://empty.com/,dave,,',
+            'Example.com,https://EXAMPLE.com,alice2,otherPassword,',
+        ].join('\r\n');
+
+        let firefoxCsv = [
+            '"url","username","password","httpRealm","formActionOrigin","guid","timeCreated","timeLastUsed","timePasswordChanged"',
+            '"https://www.example.com","alice","examplePassword",,"https://www.example.com","{1}","1","1","1"',
+            '"https://accounts.google.com","alice@gmail.com","googlePassword",,"","{2}","1","1","1"',
+        ].join('\n');
+
+        let bitwardenJson = JSON.stringify({
+            encrypted: false,
+            folders: [],
+            items: [
+                {type: 1, name: 'Example', notes: null,
+                    login: {username: 'alice', password: 'examplePassword', uris: [{match: null, uri: 'https://example.com'}],
+                        totp: 'otpauth://totp/Example:alice?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'}},
+                {type: 3, name: 'Visa', card: {number: '4111111111111111'}},
+                {type: 1, name: 'bank.com', notes: 'pin in safe', login: {username: null, password: 'bankPassword', uris: null}},
+                {type: 1, name: 'Steam', login: {username: 'alice', password: 'steamPassword',
+                    uris: [{uri: 'https://store.steampowered.com'}], totp: 'steam://GEZDGNBVGY3TQOJQ'}},
+            ],
+        });
+
+        let keePassXml = `<?xml version="1.0" encoding="utf-8" standalone="yes"?>
+<KeePassFile>
+  <Root>
+    <Group>
+      <Name>Database</Name>
+      <Entry>
+        <String><Key>Title</Key><Value>Example</Value></String>
+        <String><Key>UserName</Key><Value>alice</Value></String>
+        <String><Key>Password</Key><Value ProtectedInMemory="True">0123&amp;4567</Value></String>
+        <String><Key>URL</Key><Value>https://www.example.com/</Value></String>
+        <String><Key>Notes</Key><Value/></String>
+        <History>
+          <Entry>
+            <String><Key>Title</Key><Value>Example</Value></String>
+            <String><Key>Password</Key><Value>olderPassword</Value></String>
+          </Entry>
+        </History>
+      </Entry>
+      <Group>
+        <Name>Work</Name>
+        <Entry>
+          <String><Key>Title</Key><Value>intranet.example.org</Value></String>
+          <String><Key>UserName</Key><Value>alice.w</Value></String>
+          <String><Key>Password</Key><Value>intranetPassword</Value></String>
+        </Entry>
+      </Group>
+    </Group>
+  </Root>
+</KeePassFile>`;
+
+        it('imports a Chrome export and reports skipped and conflicting rows', async function () {
+            let keychain = await Keychain.init(password);
+            let report = await keychain.importEntries(chromeCsv, 'chrome');
+            expect(report.imported).to.eql([
+                {row: 1, domain: 'example.com', account: 'default'},
+                {row: 2, domain: 'login.stanford.edu', account: 'default'},
+                {row: 3, domain: 'blank', account: 'default'},
+            ]);
+            expect(report.skipped).to.eql([
+                {row: 4, reason: 'VALUE_TOO_LONG'},
+                {row: 5, reason: 'INVALID_INPUT'},
+            ]);
+            expect(report.conflicts).to.eql([{row: 6, domain: 'example.com', account: 'default'}]);
+            let record = await keychain.getRecord('https://www.example.com/');
+            expect(record.username).to.equal('alice');
+            expect(record.notes).to.equal('Security question: "first pet", dog');
+        });
+
+        it('imports Firefox, Bitwarden and KeePass exports', async function () {
+            let keychain = await Keychain.init(password);
+            let report = await keychain.importEntries(firefoxCsv, 'firefox');
+            expect(report.imported).to.have.length(2);
+            expect(await keychain.get('accounts.google.com')).to.equal('googlePassword');
+
+            keychain = await Keychain.init(password);
+            report = await keychain.importEntries(bitwardenJson, 'bitwarden');
+            expect(report.skipped).to.eql([{row: 2, reason: 'NOT_A_LOGIN'}]);
+            expect(report.dropped).to.eql([
+                {row: 4, domain: 'store.steampowered.com', account: 'default', field: 'totp', reason: 'INVALID_INPUT'},
+            ]);
+            expect(await keychain.list()).to.eql(['bank.com', 'example.com', 'store.steampowered.com']);
+            expect((await keychain.getRecord('bank.com')).notes).to.equal('pin in safe');
+            expect(await keychain.getTotp('example.com', 59 * 1000)).to.equal('287082');
+            expect(await keychain.get('store.steampowered.com')).to.equal('steamPassword');
+            expect(await keychain.getRecord('store.steampowered.com')).not.to.have.property('totp');
+
+            keychain = await Keychain.init(password);
+            report = await keychain.importEntries(keePassXml, 'keepass');
+            expect(report.imported.map((entry) => entry.domain)).to.eql(['example.com', 'intranet.example.org']);
+            expect(await keychain.get('example.com')).to.equal('0123&4567');
+            expect((await keychain.getRecord('intranet.example.org')).username).to.equal('alice.w');
+        });
+
+        it('resolves conflicts with the selected policy', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'existingPassword');
+            let report = await keychain.importEntries(firefoxCsv, 'firefox');
+            expect(report.conflicts).to.eql([{row: 1, domain: 'example.com', account: 'default'}]);
+            expect(await keychain.get('example.com')).to.equal('existingPassword');
+
+            report = await keychain.importEntries(firefoxCsv, 'firefox', {onConflict: 'overwrite'});
+            expect(report.imported.map((entry) => entry.row)).to.eql([1]);
+            expect(report.skipped).to.eql([{row: 2, reason: 'DUPLICATE'}]);
+            expect(await keychain.get('example.com')).to.equal('examplePassword');
+            expect((await keychain.getHistory('example.com'))[0].password).to.equal('existingPassword');
+
+            report = await keychain.importEntries(chromeCsv, 'chrome', {byUsername: true});
+            expect(report.imported.map((entry) => entry.account)).to.contain('alice2');
+            expect(await keychain.listAccounts('example.com')).to.eql(['alice', 'alice2', 'default']);
+        });
+
+        it('changes nothing in a dry run', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'existingPassword');
+            let before = await vaultState(keychain);
+            let dryRun = await keychain.importEntries(chromeCsv, 'chrome', {dryRun: true, onConflict: 'overwrite'});
+            expect(await vaultState(keychain)).to.eql(before);
+            let report = await keychain.importEntries(chromeCsv, 'chrome', {onConflict: 'overwrite'});
+            expect(dryRun).to.eql(report);
+        });
+
+        it('rejects exports it cannot read', async function () {
+            let keychain = await Keychain.init(password);
+            await expectRejectWith(keychain.importEntries('a,b\n1,2', 'chrome'), InvalidInputError);
+            await expectRejectWith(keychain.importEntries('"unterminated', 'firefox'), InvalidInputError);
+            await expectRejectWith(keychain.importEntries('{"encrypted": true}', 'bitwarden'), InvalidInputError);
+            await expectRejectWith(keychain.importEntries('<KeePassFile>', 'keepass'), InvalidInputError);
+            await expectRejectWith(keychain.importEntries(chromeCsv, 'lastpass'), InvalidInputError);
+            await expectRejectWith(keychain.importEntries(chromeCsv, 'chrome', {onConflict: 'merge'}), InvalidInputError);
+        });
+    });
+
+    describe('bundles', async function () {
+        let bundlePassword = 'bundle-password';
+
+        async function sharingKeychain() {
+            let keychain = await Keychain.init(password);
+            await keychain.setRecord('www.example.com', {username: 'alice', password: 'examplePassword'});
+            await keychain.set('www.example.com', 'workPassword', 'work');
+            await keychain.set('www.stanford.edu', 'sunetpassword');
+            await keychain.set('www.google.com', 'googlePassword');
+            return keychain;
+        }
+
+        it('shares selected entries with another keychain', async function () {
+            let keychain = await sharingKeychain();
+            let bundle = await keychain.exportBundle(['https://www.example.com/', 'stanford.edu'], bundlePassword);
+            expect(bundle).not.to.contain('examplePassword');
+            expect(bundle).not.to.contain('example.com');
+
+            let other = await Keychain.init('other password');
+            let report = await other.importBundle(bundle, bundlePassword);
+            expect(report.imported).to.eql([
+                {domain: 'example.com', account: 'default'},
+                {domain: 'example.com', account: 'work'},
+                {domain: 'stanford.edu', account: 'default'},
+            ]);
+            expect(report.conflicts).to.eql([]);
+            expect(await other.list()).to.eql(['example.com', 'stanford.edu']);
+            expect((await other.getRecord('example.com')).username).to.equal('alice');
+            expect(await other.get('example.com', 'work')).to.equal('workPassword');
+        });
+
+        it('carries its own salt and key derivation settings', async function () {
+            let keychain = await sharingKeychain();
+            let bundle = JSON.parse(await keychain.exportBundle(['google.com'], bundlePassword,
+                {kdf: 'scrypt', params: {N: 1024}}));
+            expect(bundle.kdf).to.eql({name: 'scrypt', params: {N: 1024, r: 8, p: 1}});
+            expect(bundle.salt).not.to.equal(JSON.parse((await keychain.dump())[0]).secrets.salt);
+            let other = await Keychain.init(password);
+            await other.importBundle(JSON.stringify(bundle), bundlePassword);
+            expect(await other.get('google.com')).to.equal('googlePassword');
+        });
+
+        it('leaves password histories out', async function () {
+            let keychain = await sharingKeychain();
+            await keychain.set('www.google.com', 'rotatedPassword');
+            let other = await Keychain.init(password);
+            await other.importBundle(await keychain.exportBundle(['google.com'], bundlePassword), bundlePassword);
+            expect(await other.getHistory('google.com')).to.eql([]);
+        });
+
+        it('resolves conflicts with the selected policy', async function () {
+            let keychain = await sharingKeychain();
+            let bundle = await keychain.exportBundle(['example.com'], bundlePassword);
+            let other = await Keychain.init(password);
+            await other.set('example.com', 'olderPassword');
+            await other.set('example.com', 'workPassword', 'work');
+
+            let report = await other.importBundle(bundle, bundlePassword);
+            expect(report.imported).to.eql([]);
+            expect(report.conflicts).to.eql([{domain: 'example.com', account: 'default'}]);
+            expect(await other.get('example.com')).to.equal('olderPassword');
+
+            report = await other.importBundle(bundle, bundlePassword, {onConflict: 'newer'});
+            expect(report.imported).to.eql([]);
+
+            report = await other.importBundle(bundle, bundlePassword, {onConflict: 'overwrite'});
+            expect(report.imported).to.eql([{domain: 'example.com', account: 'default'}]);
+            expect(await other.get('example.com')).to.equal('examplePassword');
+            expect((await other.getHistory('example.com'))[0].password).to.equal('olderPassword');
+
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            await keychain.set('example.com', 'newestPassword');
+            bundle = await keychain.exportBundle(['example.com'], bundlePassword);
+            report = await other.importBundle(bundle, bundlePassword, {onConflict: 'newer'});
+            expect(await other.get('example.com')).to.equal('newestPassword');
+        });
+
+        it('changes nothing in a dry run', async function () {
+            let keychain = await sharingKeychain();
+            let bundle = await keychain.exportBundle(['example.com', 'google.com'], bundlePassword);
+            let other = await Keychain.init(password);
+            let before = await vaultState(other);
+            let report = await other.importBundle(bundle, bundlePassword, {dryRun: true});
+            expect(report.imported).to.have.length(3);
+            expect(await vaultState(other)).to.eql(before);
+        });
+
+        it('detects a wrong password and tampering', async function () {
+            let keychain = await sharingKeychain();
+            let bundle = await keychain.exportBundle(['example.com'], bundlePassword);
+            let other = await Keychain.init(password);
+            await expectRejectWith(other.importBundle(bundle, 'wrong password'), WrongPasswordError);
+
+            let parsed = JSON.parse(bundle);
+            parsed.entries.ct = (parsed.entries.ct[0] === 'A' ? 'B' : 'A') + parsed.entries.ct.slice(1);
+            await expectRejectWith(other.importBundle(JSON.stringify(parsed), bundlePassword), RecordTamperedError);
+
+            parsed = JSON.parse(bundle);
+            parsed.kdf.params.iterations += 1;
+            await expectRejectWith(other.importBundle(JSON.stringify(parsed), bundlePassword), WrongPasswordError);
+
+            parsed = JSON.parse(bundle);
+            parsed.version = 2;
+            await expectRejectWith(other.importBundle(JSON.stringify(parsed), bundlePassword), UnsupportedFormatError);
+            await expectRejectWith(other.importBundle('{"kvs": {}}', bundlePassword), InvalidInputError);
+            expect(await other.list()).to.eql([]);
+        });
+
+        it('rejects a bundle asking for an unbounded key derivation', async function () {
+            let keychain = await sharingKeychain();
+            let bundle = JSON.parse(await keychain.exportBundle(['example.com'], bundlePassword));
+            let other = await Keychain.init(password);
+            for (let kdf of [
+                {name: 'PBKDF2', params: {hash: 'SHA-256', iterations: 2147483647}},
+                {name: 'scrypt', params: {N: 2 ** 26, r: 8, p: 1}},
+                {name: 'scrypt', params: {N: 1024, r: 8, p: 2 ** 20}},
+                {name: 'scrypt', params: {N: 2 ** 20, r: 32, p: 1}},
+            ]) {
+                await expectRejectWith(other.importBundle(JSON.stringify({...bundle, kdf: kdf}), bundlePassword), UnsupportedFormatError);
+            }
+            await expectRejectWith(Keychain.init(password, {kdf: 'PBKDF2', params: {iterations: 1e8}}), InvalidInputError);
+            expect(await other.list()).to.eql([]);
+        });
+
+        it('rejects unknown domains and options', async function () {
+            let keychain = await sharingKeychain();
+            await expectRejectWith(keychain.exportBundle(['missing.com'], bundlePassword), InvalidInputError);
+            await expectRejectWith(keychain.exportBundle('example.com', bundlePassword), InvalidInputError);
+            await expectRejectWith(keychain.exportBundle(['example.com'], ' '), InvalidInputError);
+            let bundle = await keychain.exportBundle(['example.com'], bundlePassword);
+            await expectRejectWith(keychain.importBundle(bundle, bundlePassword, {onConflict: 'merge'}), InvalidInputError);
+        });
+    });
+
+    describe('public-key sharing', async function () {
+
+        async function teammates() {
+            let alice = await Keychain.init(password);
+            await alice.setRecord('www.example.com', {username: 'alice', password: 'examplePassword'});
+            await alice.set('www.example.com', 'workPassword', 'work');
+            await alice.set('www.google.com', 'googlePassword');
+            let bob = await Keychain.init('bob password');
+            return {alice, bob};
+        }
+
+        it('publishes a stable public key', async function () {
+            let keychain = await Keychain.init(password);
+            let publicKey = await keychain.getPublicKey();
+            expect(Buffer.from(publicKey.encryption, 'base64')).to.have.length(32);
+            expect(Buffer.from(publicKey.signing, 'base64')).to.have.length(65);
+            expect(await keychain.getPublicKey()).to.eql(publicKey);
+
+            let data = await keychain.dump();
+            expect(data[0]).not.to.contain(publicKey.encryption);
+            let loaded = await Keychain.load(password, data[0], data[1]);
+            expect(await loaded.getPublicKey()).to.eql(publicKey);
+            await loaded.changePassword(password, 'otherPassword');
+            expect(await loaded.getPublicKey()).to.eql(publicKey);
+            expect(await (await Keychain.init(password)).getPublicKey()).not.to.eql(publicKey);
+        });
+
+        it('shares entries with the owner of a public key', async function () {
+            let {alice, bob} = await teammates();
+            let share = await alice.shareEntries(['https://www.example.com/'], await bob.getPublicKey());
+            expect(share).not.to.contain('examplePassword');
+            let report = await bob.receiveShare(share, await alice.getPublicKey());
+            expect(report.imported).to.eql([
+                {domain: 'example.com', account: 'default'},
+                {domain: 'example.com', account: 'work'},
+            ]);
+            expect((await bob.getRecord('example.com')).username).to.equal('alice');
+            expect(await bob.get('example.com', 'work')).to.equal('workPassword');
+            expect(await bob.list()).to.eql(['example.com']);
+        });
+
+        it('merges shares with the selected conflict policy', async function () {
+            let {alice, bob} = await teammates();
+            await bob.set('google.com', 'bobPassword');
+            let share = await alice.shareEntries(['google.com'], await bob.getPublicKey());
+            let report = await bob.receiveShare(share, await alice.getPublicKey(), {dryRun: true, onConflict: 'overwrite'});
+            expect(report.imported).to.eql([{domain: 'google.com', account: 'default'}]);
+            expect(await bob.get('google.com')).to.equal('bobPassword');
+            await bob.receiveShare(share, await alice.getPublicKey(), {onConflict: 'overwrite'});
+            expect(await bob.get('google.com')).to.equal('googlePassword');
+        });
+
+        it('rejects shares that were not signed by the expected sender', async function () {
+            let {alice, bob} = await teammates();
+            let mallory = await Keychain.init(password);
+            await mallory.set('www.google.com', 'phishedPassword');
+            let forged = await mallory.shareEntries(['google.com'], await bob.getPublicKey());
+            await expectRejectWith(bob.receiveShare(forged, await alice.getPublicKey()), RecordTamperedError);
+
+            // Claiming to be alice does not help without her signing key
+            let parsed = JSON.parse(forged);
+            parsed.sender = await alice.getPublicKey();
+            await expectRejectWith(bob.receiveShare(JSON.stringify(parsed), await alice.getPublicKey()), RecordTamperedError);
+            expect(await bob.list()).to.eql([]);
+        });
+
+        it('detects tampering and shares meant for someone else', async function () {
+            let {alice, bob} = await teammates();
+            let share = await alice.shareEntries(['google.com'], await bob.getPublicKey());
+            let parsed = JSON.parse(share);
+            parsed.entries.ct = (parsed.entries.ct[0] === 'A' ? 'B' : 'A') + parsed.entries.ct.slice(1);
+            await expectRejectWith(bob.receiveShare(JSON.stringify(parsed), await alice.getPublicKey()), RecordTamperedError);
+
+            let carol = await Keychain.init(password);
+            await carol.getPublicKey();
+            await expectRejectWith(carol.receiveShare(share, await alice.getPublicKey()), InvalidInputError);
+            await expectRejectWith(alice.shareEntries(['google.com'], {encryption: 'AAAA', signing: 'AAAA'}),
+                InvalidInputError);
+            await expectRejectWith(alice.shareEntries(['missing.com'], await bob.getPublicKey()), InvalidInputError);
+        });
+    });
+
+    describe('totp', async function () {
+        // RFC 6238 appendix B: the ASCII seed "1234567890" repeated to the
+        // key size of each hash, 8 digits and a 30 second period
+        let seeds = {
+            SHA1: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ',
+            SHA256: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA====',
+            SHA512: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' +
+                'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNA=',
+        };
+        let vectors = [
+            [59, {SHA1: '94287082', SHA256: '46119246', SHA512: '90693936'}],
+            [1111111109, {SHA1: '07081804', SHA256: '68084774', SHA512: '25091201'}],
+            [1111111111, {SHA1: '14050471', SHA256: '67062674', SHA512: '99943326'}],
+            [1234567890, {SHA1: '89005924', SHA256: '91819424', SHA512: '93441116'}],
+            [2000000000, {SHA1: '69279037', SHA256: '90698825', SHA512: '38618901'}],
+            [20000000000, {SHA1: '65353130', SHA256: '77737706', SHA512: '47863826'}],
+        ];
+
+        it('matches the RFC 6238 test vectors', async function () {
+            let keychain = await Keychain.init(password);
+            for (let algorithm of Object.keys(seeds)) {
+                let uri = `otpauth://totp/Example:alice?secret=${seeds[algorithm].replace(/=/g, '')}` +
+                    `&algorithm=${algorithm}&digits=8&period=30`;
+                await keychain.setRecord(`${algorithm.toLowerCase()}.example.com`, {password: 'pw', totp: uri});
+            }
+            for (let [seconds, codes] of vectors) {
+                for (let algorithm of Object.keys(seeds)) {
+                    expect(await keychain.getTotp(`${algorithm.toLowerCase()}.example.com`, seconds * 1000))
+                        .to.equal(codes[algorithm]);
+                }
+            }
+        });
+
+        it('reads bare Base32 secrets with the default parameters', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.setRecord('www.example.com', {password: 'pw', totp: 'gezd gnbv gy3t qojq gezd gnbv gy3t qojq'});
+            expect((await keychain.getRecord('example.com')).totp).to.eql(
+                {secret: seeds.SHA1, algorithm: 'SHA1', digits: 6, period: 30});
+            expect(await keychain.getTotp('example.com', new Date(59 * 1000))).to.equal('287082');
+            expect(await keychain.getTotp('example.com')).to.match(/^\d{6}$/);
+        });
+
+        it('keeps the secret encrypted with the record', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.setRecord('www.example.com', {password: 'pw', totp: seeds.SHA1});
+            await keychain.set('www.example.com', 'rotatedPassword');
+            let data = await keychain.dump();
+            expect(data[0]).not.to.contain(seeds.SHA1);
+            let loaded = await Keychain.load(password, data[0], data[1]);
+            expect(await loaded.getTotp('example.com', 59 * 1000)).to.equal('287082');
+            let share = await keychain.exportBundle(['example.com'], 'bundle-password');
+            let other = await Keychain.init(password);
+            await other.importBundle(share, 'bundle-password');
+            expect(await other.getTotp('example.com', 59 * 1000)).to.equal('287082');
+        });
+
+        it('returns null without a secret', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'pw');
+            expect(await keychain.getTotp('example.com')).to.be(null);
+            expect(await keychain.getTotp('missing.com')).to.be(null);
+            expect(await keychain.getRecord('example.com')).not.to.have.property('totp');
+        });
+
+        it('rejects invalid secrets', async function () {
+            let keychain = await Keychain.init(password);
+            for (let totp of ['not base32!', '', 'otpauth://hotp/x?secret=GEZDGNBV&counter=1',
+                'otpauth://totp/x?secret=GEZDGNBV&algorithm=MD5', 'otpauth://totp/x?secret=GEZDGNBV&digits=4',
+                'otpauth://totp/x', {secret: 'GEZDGNBV', period: 0}, 42]) {
+                await expectRejectWith(keychain.setRecord('www.example.com', {password: 'pw', totp: totp}), InvalidInputError);
+            }
+            await keychain.set('www.example.com', 'pw');
+            await expectRejectWith(keychain.getTotp('example.com', -1), InvalidInputError);
+        });
+    });
+
+    describe('storage', async function () {
+        let directory;
+
+        before(function () {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+        });
+
+        after(function () {
+            fs.rmSync(directory, {recursive: true, force: true});
+        });
+
+        async function sharedVault(storage) {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'examplePassword');
+            await keychain.set('www.stanford.edu', 'sunetpassword');
+            await keychain.save({storage: storage});
+            return storage;
+        }
+
+        it('saves and opens a vault', async function () {
+            let storage = await sharedVault(new MemoryStorage());
+            let keychain = await Keychain.open(storage, password);
+            expect(await keychain.get('example.com')).to.equal('examplePassword');
+            await keychain.set('google.com', 'googlePassword');
+            await keychain.save();
+            expect(await (await Keychain.open(storage, password)).list()).to.eql(['example.com', 'google.com', 'stanford.edu']);
+            await expectRejectWith(Keychain.open(new MemoryStorage(), password), InvalidInputError);
+            await expectRejectWith(Keychain.open(storage, 'wrong password'), WrongPasswordError);
+        });
+
+        it('merges changes made by another writer', async function () {
+            let storage = await sharedVault(new MemoryStorage());
+            let first = await Keychain.open(storage, password);
+            let second = await Keychain.open(storage, password);
+            await first.set('google.com', 'googlePassword');
+            await first.remove('stanford.edu');
+            await first.save();
+            await second.set('example.com', 'rotatedPassword');
+            await second.set('github.com', 'githubPassword');
+            await second.save();
+
+            let merged = await Keychain.open(storage, password);
+            expect(await merged.list()).to.eql(['example.com', 'github.com', 'google.com']);
+            expect(await merged.get('example.com')).to.equal('rotatedPassword');
+            expect(JSON.parse((await storage.read()).contents).counter).to.be.greaterThan(
+                JSON.parse(first.base).counter);
+        });
+
+        it('reports conflicting changes without losing either', async function () {
+            let storage = await sharedVault(new MemoryStorage());
+            let first = await Keychain.open(storage, password);
+            let second = await Keychain.open(storage, password);
+            await first.set('example.com', 'firstPassword');
+            await first.save();
+            await second.set('example.com', 'secondPassword');
+            await second.set('github.com', 'githubPassword');
+            try {
+                await second.save();
+                expect().fail('Expected a conflict');
+            } catch (e) {
+                expect(e).to.be.a(ConflictError);
+                expect(e.conflicts).to.eql([{domain: 'example.com', account: 'default'}]);
+            }
+            expect(await second.get('example.com')).to.equal('secondPassword');
+            expect(await (await Keychain.open(storage, password)).get('example.com')).to.equal('firstPassword');
+            await second.save({onConflict: 'overwrite'});
+            expect(await (await Keychain.open(storage, password)).get('example.com')).to.equal('secondPassword');
+        });
+
+        it('fails on any change with the fail policy', async function () {
+            let storage = await sharedVault(new MemoryStorage());
+            let first = await Keychain.open(storage, password);
+            let second = await Keychain.open(storage, password);
+            await first.set('google.com', 'googlePassword');
+            await first.save();
+            await expectRejectWith(second.save({onConflict: 'fail'}), ConflictError);
+            await expectRejectWith((await Keychain.init(password)).save({storage: storage}), ConflictError);
+            await expectRejectWith(second.save({onConflict: 'ignore'}), InvalidInputError);
+        });
+
+        it('does not merge with a re-keyed vault', async function () {
+            let storage = await sharedVault(new MemoryStorage());
+            let first = await Keychain.open(storage, password);
+            let second = await Keychain.open(storage, password);
+            await first.changePassword(password, 'newPassword');
+            await first.save();
+            await second.set('google.com', 'googlePassword');
+            await expectRejectWith(second.save(), ConflictError);
+        });
+
+        it('keeps a vault in a file with a checksum sidecar', async function () {
+            let file = path.join(directory, 'vault.json');
+            let storage = await sharedVault(new FileStorage(file));
+            expect(fs.readdirSync(directory).sort()).to.eql(['vault.json', 'vault.json.sha256']);
+            let stored = fs.readFileSync(file, 'utf8');
+            let checksum = fs.readFileSync(file + '.sha256', 'utf8').trim();
+            expect(await (await Keychain.load(password, stored, checksum)).get('example.com')).to.equal('examplePassword');
+
+            let first = await Keychain.open(new FileStorage(file), password);
+            let second = await Keychain.open(new FileStorage(file), password);
+            await Promise.all([
+                first.set('google.com', 'googlePassword').then(() => first.save()),
+                second.set('github.com', 'githubPassword').then(() => second.save()),
+            ]);
+            expect(await (await Keychain.open(storage, password)).list()).to.eql(
+                ['example.com', 'github.com', 'google.com', 'stanford.edu']);
+
+            fs.writeFileSync(file + '.sha256', 'AAAA\n');
+            await expectRejectWith(Keychain.open(storage, password), KeychainError);
+            fs.rmSync(file + '.sha256');
+            await expectRejectWith(Keychain.open(storage, password), KeychainError);
+        });
+
+        it('opens the vault a write was interrupted before replacing', async function () {
+            let file = path.join(directory, 'interrupted.json');
+            let storage = await sharedVault(new FileStorage(file));
+            let before = fs.readFileSync(file, 'utf8');
+            let keychain = await Keychain.open(storage, password);
+            await keychain.set('google.com', 'googlePassword');
+            await keychain.save();
+            expect(fs.readFileSync(file + '.sha256', 'utf8').trim().split('\n')).to.have.length(2);
+
+            // The sidecar was replaced, but the vault was not
+            fs.writeFileSync(file, before);
+            let reopened = await Keychain.open(storage, password);
+            expect(await reopened.list()).to.eql(['example.com', 'stanford.edu']);
+            await reopened.set('github.com', 'githubPassword');
+            await reopened.save({onConflict: 'overwrite'});
+            expect(await (await Keychain.open(storage, password)).list()).to.eql(['example.com', 'github.com', 'stanford.edu']);
+
+            fs.writeFileSync(file, before.replace('"counter":', '"counter": '));
+            await expectRejectWith(Keychain.open(storage, password), KeychainError);
+        });
+
+        it('breaks a stale lock for one writer at a time', async function () {
+            let file = path.join(directory, 'stale.json');
+            await sharedVault(new FileStorage(file));
+            fs.writeFileSync(file + '.lock', 'dead-writer');
+            let stale = new Date(Date.now() - 120000);
+            fs.utimesSync(file + '.lock', stale, stale);
+
+            let holders = 0;
+            let overlapped = false;
+            let write = () => new FileStorage(file).transaction(async () => {
+                holders += 1;
+                overlapped = overlapped || holders > 1;
+                await new Promise((resolve) => setTimeout(resolve, 100));
+                holders -= 1;
+            });
+            await Promise.all([write(), write(), write()]);
+            expect(overlapped).to.be(false);
+            expect(fs.existsSync(file + '.lock')).to.be(false);
+        });
+
+        it('leaves a lock another writer took over', async function () {
+            let file = path.join(directory, 'taken.json');
+            let storage = await sharedVault(new FileStorage(file));
+            await storage.transaction(async () => {
+                fs.writeFileSync(file + '.lock', 'other-writer');
+            });
+            expect(fs.readFileSync(file + '.lock', 'utf8')).to.equal('other-writer');
+            fs.rmSync(file + '.lock');
+        });
+
+        it('waits for the lock of another writer', async function () {
+            let file = path.join(directory, 'locked.json');
+            let storage = await sharedVault(new FileStorage(file, {lockTimeout: 100}));
+            let keychain = await Keychain.open(storage, password);
+            fs.writeFileSync(file + '.lock', '1\n');
+            await expectRejectWith(keychain.save(), StorageBusyError);
+
+            let stale = new Date(Date.now() - 120000);
+            fs.utimesSync(file + '.lock', stale, stale);
+            await keychain.save();
+            expect(fs.existsSync(file + '.lock')).to.be(false);
+        });
+    });
+
+    describe('locking', async function () {
+        function sleep(ms) {
+            return new Promise((resolve) => setTimeout(resolve, ms));
+        }
+
+        async function lockedKeychain() {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'examplePassword');
+            await keychain.set('www.stanford.edu', 'sunetpassword');
+            await keychain.lock();
+            return keychain;
+        }
+
+        it('refuses to use a locked keychain', async function () {
+            let keychain = await lockedKeychain();
+            expect(keychain.isLocked()).to.be(true);
+            expect(() => keychain.secrets).to.throwError((e) => expect(e).to.be.a(LockedError));
+            await expectRejectWith(keychain.get('example.com'), LockedError);
+            await expectRejectWith(keychain.set('google.com', 'googlePassword'), LockedError);
+            await expectRejectWith(keychain.remove('example.com'), LockedError);
+            await expectRejectWith(keychain.list(), LockedError);
+            await expectRejectWith(keychain.changePassword(password, 'newPassword'), LockedError);
+        });
+
+        it('drops the keys and decrypted names', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('example.com', 'examplePassword');
+            await keychain.getPublicKey();
+            let secrets = keychain.unlockedSecrets;
+            await keychain.lock();
+            expect(keychain.unlockedSecrets).to.be(null);
+            expect(secrets.domains.size).to.equal(0);
+            expect(secrets.identity).to.be(null);
+        });
+
+        it('dumps a locked keychain', async function () {
+            let keychain = await lockedKeychain();
+            let [contents, checksum] = await keychain.dump();
+            expect(await keychain.dump()).to.eql([contents, checksum]);
+            let loaded = await Keychain.load(password, contents, checksum);
+            expect(await loaded.get('example.com')).to.equal('examplePassword');
+            expect(await loaded.list()).to.eql(['example.com', 'stanford.edu']);
+
+            let storage = new MemoryStorage();
+            await keychain.save({storage: storage});
+            expect((await storage.read()).contents).to.equal(contents);
+        });
+
+        it('unlocks with the master password', async function () {
+            let keychain = await lockedKeychain();
+            let counter = JSON.parse((await keychain.dump())[0]).counter;
+            await expectRejectWith(keychain.unlock('wrong password'), WrongPasswordError);
+            expect(keychain.isLocked()).to.be(true);
+            await keychain.unlock(password);
+            expect(keychain.isLocked()).to.be(false);
+            expect(await keychain.get('example.com')).to.equal('examplePassword');
+            await keychain.set('google.com', 'googlePassword');
+            let [contents] = await keychain.dump();
+            expect(JSON.parse(contents).counter).to.equal(counter + 1);
+            expect(await (await Keychain.load(password, contents)).list()).to.eql(
+                ['example.com', 'google.com', 'stanford.edu']);
+            await expectRejectWith(keychain.unlock('wrong password'), WrongPasswordError);
+        });
+
+        it('keeps writes running during lock out of the locked vault', async function () {
+            for (let delay = 0; delay < 10; delay++) {
+                let keychain = await Keychain.init(password);
+                await keychain.set('a.com', 'x');
+                let setting = keychain.set('b.com', 'y').then(() => true, (e) => {
+                    expect(e).to.be.a(LockedError);
+                    return false;
+                });
+                for (let i = 0; i < delay; i++) {
+                    await new Promise((resolve) => setImmediate(resolve));
+                }
+                await keychain.lock();
+                let stored = await setting;
+                await keychain.unlock(password);
+                expect(await keychain.list()).to.eql(stored ? ['a.com', 'b.com'] : ['a.com']);
+                let [contents] = await keychain.dump();
+                expect(await (await Keychain.load(password, contents)).list()).to.eql(await keychain.list());
+            }
+        });
+
+        it('locks after the idle timeout', async function () {
+            let keychain = await Keychain.init(password, {idleTimeout: 200});
+            await keychain.set('example.com', 'examplePassword');
+            for (let i = 0; i < 3; i++) {
+                await sleep(100);
+                expect(await keychain.get('example.com')).to.equal('examplePassword');
+            }
+            await sleep(400);
+            expect(keychain.isLocked()).to.be(true);
+            await keychain.unlock(password);
+            expect(await keychain.get('example.com')).to.equal('examplePassword');
+            await sleep(400);
+            expect(keychain.isLocked()).to.be(true);
+
+            let [contents] = await keychain.dump();
+            let loaded = await Keychain.load(password, contents, undefined, {idleTimeout: 200});
+            await sleep(400);
+            expect(loaded.isLocked()).to.be(true);
+            await expectRejectWith(Keychain.init(password, {idleTimeout: 0}), InvalidInputError);
+            await expectRejectWith(Keychain.load(password, contents, undefined, {idleTimeout: 'soon'}), InvalidInputError);
+        });
+    });
+
+    describe('enumeration', async function () {
+
+        it('dumps a consistent index while a write is running', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('service0', 'value0');
+            for (let delay = 1; delay <= 10; delay++) {
+                let setting = keychain.set(`service${delay}`, `value${delay}`);
+                for (let i = 0; i < delay; i++) {
+                    await new Promise((resolve) => setImmediate(resolve));
+                }
+                let [contents] = await keychain.dump();
+                await setting;
+                let loaded = await Keychain.load(password, contents);
+                expect((await loaded.list()).length).to.be.within(delay, delay + 1);
+            }
+        });
+
+        it('lists and counts the stored domains', async function () {
+            let keychain = await Keychain.init(password);
+            expect(await keychain.list()).to.eql([]);
+            expect(await keychain.size()).to.equal(0);
+            for (let k in kvs) {
+                await keychain.set(k, kvs[k]);
+            }
+            await keychain.set('service1', 'updated');
+            expect(await keychain.list()).to.eql(['service1', 'service2', 'service3']);
+            expect(await keychain.size()).to.equal(3);
+            await keychain.remove('service2');
+            expect(await keychain.list()).to.eql(['service1', 'service3']);
+            expect(await keychain.size()).to.equal(2);
+        });
+
+        it('iterates over domain and value pairs', async function () {
+            let keychain = await Keychain.init(password);
+            for (let k in kvs) {
+                await keychain.set(k, kvs[k]);
+            }
+            let seen = {};
+            for await (let [name, value] of keychain) {
+                seen[name] = value;
+            }
+            expect(seen).to.eql(kvs);
+        });
+
+        it('keeps the index across dump, load and password changes', async function () {
+            let keychain = await Keychain.init(password);
+            for (let k in kvs) {
+                await keychain.set(k, kvs[k]);
+            }
+            let data = await keychain.dump();
+            let newKeychain = await Keychain.load(password, data[0], data[1]);
+            expect(await newKeychain.list()).to.eql(Object.keys(kvs));
+            await newKeychain.changePassword(password, 'otherPassword');
+            expect(await newKeychain.size()).to.equal(3);
+        });
+
+        it('builds the index when upgrading older vaults', async function () {
+            let legacy = await Keychain.load(password, legacyVault.contents, legacyVault.checksum);
+            expect(await legacy.list()).to.eql(['service1', 'stanford.edu']);
+            let v2 = await Keychain.load(password, v2Vault.contents, v2Vault.checksum);
+            expect(await v2.size()).to.equal(2);
+        });
+
+        it("doesn't expose domain names through the index", async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.stanford.edu', 'sunetpassword');
+            let contents = (await keychain.dump())[0];
+            expect(JSON.parse(contents)).to.have.key('index');
+            expect(contents).not.to.contain('stanford');
+        });
+
+        it('detects a tampered index', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('service1', 'value1');
+            let other = await Keychain.init(password);
+            await other.set('service1', 'value1');
+            await other.set('service2', 'value2');
+            let contentsObj = JSON.parse((await keychain.dump())[0]);
+            contentsObj.index = JSON.parse((await other.dump())[0]).index;
+            await expectRejectWith(Keychain.load(password, JSON.stringify(contentsObj)), RecordTamperedError);
+        });
+    });
+
+    describe('key derivation', async function () {
+
+        it('inits with custom PBKDF2 iterations and records them in the dump', async function () {
+            let keychain = await Keychain.init(password, {kdf: 'PBKDF2', params: {iterations: 150000}});
+            await keychain.set('service1', 'value1');
+            let data = await keychain.dump();
+            expect(JSON.parse(data[0]).kdf.params.iterations).to.equal(150000);
+            let newKeychain = await Keychain.load(password, data[0], data[1]);
+            expect(await newKeychain.get('service1')).to.equal('value1');
+        });
+
+        it('inits with scrypt and restores the database', async function () {
+            let keychain = await Keychain.init(password, {kdf: 'scrypt', params: {N: 1024}});
+            await keychain.set('service1', 'value1');
+            let data = await keychain.dump();
+            expect(JSON.parse(data[0]).kdf).to.eql({name: 'scrypt', params: {N: 1024, r: 8, p: 1}});
+            let newKeychain = await Keychain.load(password, data[0], data[1]);
+            expect(await newKeychain.get('service1')).to.equal('value1');
+            await expectReject(Keychain.load("fakepassword", data[0], data[1]));
+        });
+
+        it('rejects unknown or invalid KDF settings', async function () {
+            await expectReject(Keychain.init(password, {kdf: 'bcrypt'}));
+            await expectReject(Keychain.init(password, {kdf: 'PBKDF2', params: {iterations: 0}}));
+            await expectReject(Keychain.init(password, {kdf: 'scrypt', params: {N: 1000}}));
+        });
+
+        it('re-keys the vault when the KDF is upgraded', async function () {
+            let keychain = await Keychain.init(password);
+            for (let k in kvs) {
+                await keychain.set(k, kvs[k]);
+            }
+            let before = JSON.parse((await keychain.dump())[0]);
+            await keychain.upgradeKdf(password, {kdf: 'scrypt', params: {N: 1024}});
+            let data = await keychain.dump();
+            let after = JSON.parse(data[0]);
+            expect(after.kdf.name).to.equal('scrypt');
+            expect(after.secrets.salt).not.to.equal(before.secrets.salt);
+            expect(Object.keys(after.kvs)).to.have.length(3);
+            expect(Object.keys(after.kvs)).not.to.contain(Object.keys(before.kvs)[0]);
+            for (let k in kvs) {
+                expect(await keychain.get(k)).to.equal(kvs[k]);
+            }
+            let newKeychain = await Keychain.load(password, data[0], data[1]);
+            for (let k in kvs) {
+                expect(await newKeychain.get(k)).to.equal(kvs[k]);
+            }
+        });
+
+        it('leaves the vault untouched when upgrading with a wrong password', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('service1', 'value1');
+            let before = await vaultState(keychain);
+            await expectReject(keychain.upgradeKdf("fakepassword", {params: {iterations: 200000}}));
+            expect(await vaultState(keychain)).to.eql(before);
+            expect(await keychain.get('service1')).to.equal('value1');
+        });
+    });
+
+    describe('errors', async function () {
+
+        it('gives every error a stable code and a common base class', async function () {
+            let keychain = await Keychain.init(password);
+            let data = await keychain.dump();
+            let errors = [];
+            for (let attempt of [
+                () => Keychain.load("fakepassword", data[0]),
+                () => Keychain.load(password, data[0], 'bad'),
+                () => Keychain.load(password, 'not json'),
+                () => keychain.set('service1', 'x'.repeat(65)),
+                () => keychain.set(null, 'value'),
+                () => keychain.changePassword("fakepassword", 'newPassword'),
+                () => keychain.upgradeKdf(password, {kdf: 'bcrypt'}),
+            ]) {
+                await attempt().then(() => expect().fail('Expected failure'), (error) => errors.push(error));
+            }
+            for (let error of errors) {
+                expect(error).to.be.a(KeychainError);
+                expect(error).to.be.an(Error);
+            }
+            expect(errors.map((error) => error.code)).to.eql([
+                'WRONG_PASSWORD', 'CHECKSUM_MISMATCH', 'INVALID_INPUT', 'VALUE_TOO_LONG',
+                'INVALID_INPUT', 'WRONG_PASSWORD', 'INVALID_INPUT',
+            ]);
+        });
+
+        it('rejects non-string arguments with InvalidInputError', async function () {
+            let keychain = await Keychain.init(password);
+            await expectRejectWith(Keychain.init(null), InvalidInputError);
+            await expectRejectWith(keychain.get(42), InvalidInputError);
+            await expectRejectWith(keychain.remove(undefined), InvalidInputError);
+        });
+
+        it('reports tampering with a record as RecordTamperedError', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('service1', 'value1');
+            let contentsObj = JSON.parse((await keychain.dump())[0]);
+            let record = Object.values(contentsObj.kvs)[0];
+            record.ct = (record.ct[0] === 'A' ? 'B' : 'A') + record.ct.slice(1);
+            let tampered = await withRecords(keychain, password, contentsObj);
+            await expectRejectWith(tampered.get('service1'), RecordTamperedError);
+            await expectRejectWith(tampered.changePassword(password, 'newPassword'), RecordTamperedError);
+        });
+    });
+
+    describe('password change', async function () {
+        let newPassword = "newPassword456?";
+
+        it('re-encrypts the vault under the new password', async function () {
+            let keychain = await Keychain.init(password);
+            for (let k in kvs) {
+                await keychain.set(k, kvs[k]);
+            }
+            let before = JSON.parse((await keychain.dump())[0]);
+            await keychain.changePassword(password, newPassword);
+            let data = await keychain.dump();
+            let after = JSON.parse(data[0]);
+            expect(after.secrets.salt).not.to.equal(before.secrets.salt);
+            expect(Object.keys(after.kvs)).not.to.contain(Object.keys(before.kvs)[0]);
+            for (let k in kvs) {
+                expect(await keychain.get(k)).to.equal(kvs[k]);
+            }
+
+            await expectReject(Keychain.load(password, data[0], data[1]));
+            let newKeychain = await Keychain.load(newPassword, data[0], data[1]);
+            for (let k in kvs) {
+                expect(await newKeychain.get(k)).to.equal(kvs[k]);
+            }
+        });
+
+        it('rejects a wrong old password and keeps the vault unchanged', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('service1', 'value1');
+            let before = await vaultState(keychain);
+            await expectReject(keychain.changePassword("fakepassword", newPassword));
+            expect(await vaultState(keychain)).to.eql(before);
+        });
+
+        it('rejects a blank new password', async function () {
+            let keychain = await Keychain.init(password);
+            await expectReject(keychain.changePassword(password, '   '));
+            await expectReject(keychain.changePassword(password, null));
+        });
+
+        it('keeps the vault unchanged if a record fails to re-encrypt', async function () {
+            let keychain = await Keychain.init(password);
+            for (let k in kvs) {
+                await keychain.set(k, kvs[k]);
+            }
+            let contentsObj = JSON.parse((await keychain.dump())[0]);
+            let tags = Object.keys(contentsObj.kvs);
+            contentsObj.kvs[tags[2]] = contentsObj.kvs[tags[0]];
+            let tampered = await withRecords(keychain, password, contentsObj);
+            let before = await vaultState(tampered);
+
+            await expectReject(tampered.changePassword(password, newPassword));
+            expect(await vaultState(tampered)).to.eql(before);
+            expect(await tampered.get('service2')).to.equal('value2');
+        });
     });
 
     describe('security', async function () {
@@ -127,6 +1761,101 @@ describe('Password manager', async function () {
             expect(contents).not.to.contain(pw);
         });
 
+        it('never reuses an IV across records', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('service1', 'samevalue');
+            await keychain.set('service2', 'samevalue');
+            let contentsObj = JSON.parse((await keychain.dump())[0]);
+            let records = Object.values(contentsObj.kvs);
+            expect(records[0].iv).not.to.equal(records[1].iv);
+            expect(records[0].ct).not.to.equal(records[1].ct);
+        });
+
+        it('detects values swapped between two domains', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('bank.com', 'bankPassword');
+            await keychain.set('evil.com', 'evilPassword');
+            let contentsObj = JSON.parse((await keychain.dump())[0]);
+            let [tag1, tag2] = Object.keys(contentsObj.kvs);
+            [contentsObj.kvs[tag1], contentsObj.kvs[tag2]] = [contentsObj.kvs[tag2], contentsObj.kvs[tag1]];
+
+            let tampered = await withRecords(keychain, password, contentsObj);
+            await expectRejectWith(tampered.get('bank.com'), RecordTamperedError);
+            await expectRejectWith(tampered.get('evil.com'), RecordTamperedError);
+        });
+
+        it('detects a value copied onto another domain', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('bank.com', 'bankPassword');
+            await keychain.set('evil.com', 'evilPassword');
+            let contentsObj = JSON.parse((await keychain.dump())[0]);
+            let [tag1, tag2] = Object.keys(contentsObj.kvs);
+            contentsObj.kvs[tag2] = contentsObj.kvs[tag1];
+
+            let tampered = await withRecords(keychain, password, contentsObj);
+            expect(await tampered.get('bank.com')).to.equal('bankPassword');
+            await expectReject(tampered.get('evil.com'));
+        });
+
+        it('detects IVs and ciphertexts spliced between records', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('bank.com', 'bankPassword');
+            await keychain.set('evil.com', 'evilPassword');
+            let contentsObj = JSON.parse((await keychain.dump())[0]);
+            let [tag1, tag2] = Object.keys(contentsObj.kvs);
+            [contentsObj.kvs[tag1].iv, contentsObj.kvs[tag2].iv] = [contentsObj.kvs[tag2].iv, contentsObj.kvs[tag1].iv];
+
+            let tampered = await withRecords(keychain, password, contentsObj);
+            await expectReject(tampered.get('bank.com'));
+            await expectReject(tampered.get('evil.com'));
+        });
+
+        it('detects a record spliced in from another vault', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('bank.com', 'bankPassword');
+            let other = await Keychain.init(password);
+            await other.set('bank.com', 'attackerPassword');
+            let contentsObj = JSON.parse((await keychain.dump())[0]);
+            let otherObj = JSON.parse((await other.dump())[0]);
+            let tag = Object.keys(contentsObj.kvs)[0];
+            contentsObj.kvs[tag] = Object.values(otherObj.kvs)[0];
+
+            let tampered = await withRecords(keychain, password, contentsObj);
+            await expectReject(tampered.get('bank.com'));
+        });
+
+        it("doesn't reveal password lengths or changes in the dump", async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('service1', 'a');
+            await keychain.set('service2', 'b'.repeat(64));
+            await keychain.set('service3', '\u00e9'.repeat(64));
+            await keychain.set('service4', '\u0001'.repeat(64));
+            for (let i = 0; i <= 10; i++) {
+                await keychain.set('service5', String.fromCharCode(1, 2, 3).repeat(21) + i % 10);
+            }
+            expect(await keychain.getHistory('service5')).to.have.length(10);
+            let contentsObj = JSON.parse((await keychain.dump())[0]);
+            let lengths = Object.values(contentsObj.kvs).map((record) => record.ct.length);
+            expect(lengths).to.have.length(5);
+            expect(new Set(lengths).size).to.equal(1);
+        });
+
+        it('round-trips values of every allowed length', async function () {
+            let keychain = await Keychain.init(password);
+            for (let i = 1; i <= 64; i++) {
+                await keychain.set('service' + i, 'x'.repeat(i));
+            }
+            for (let i = 1; i <= 64; i++) {
+                expect(await keychain.get('service' + i)).to.equal('x'.repeat(i));
+            }
+        });
+
+        it("doesn't store the master password under the vault key", async function () {
+            let keychain = await Keychain.init(password);
+            let contentsObj = JSON.parse((await keychain.dump())[0]);
+            expect(contentsObj.secrets).to.only.have.keys('check', 'salt');
+        });
+
         // This test won't be graded directly -- it just exists to make sure your
         // dump include a kvs object with all your urls and passwords, because
         // we will be using that in other tests.
@@ -196,6 +1925,96 @@ describe('Password manager', async function () {
         });
 
 
+        it('increments the version counter on every dump', async function () {
+            let keychain = await Keychain.init(password);
+            let counter1 = JSON.parse((await keychain.dump())[0]).counter;
+            let counter2 = JSON.parse((await keychain.dump())[0]).counter;
+            expect(counter2).to.be.greaterThan(counter1);
+            expect(keychain.data.counter).to.equal(counter2);
+        });
+
+        it('rejects an older snapshot even with its matching checksum', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.google.com', 'oldGooglePassword');
+            let data1 = await keychain.dump();
+            await keychain.set('www.google.com', 'newGooglePassword');
+            let data2 = await keychain.dump();
+            let trusted = JSON.parse(data2[0]).counter;
+
+            await expectRejectWith(Keychain.load(password, data1[0], data1[1], {minCounter: trusted}), RollbackError);
+            let current = await Keychain.load(password, data2[0], data2[1], {minCounter: trusted});
+            expect(await current.get('www.google.com')).to.equal('newGooglePassword');
+        });
+
+        it('detects a forged version counter', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.google.com', 'oldGooglePassword');
+            let old = JSON.parse((await keychain.dump())[0]);
+            await keychain.set('www.google.com', 'newGooglePassword');
+            let current = JSON.parse((await keychain.dump())[0]);
+
+            let forged = {...old, counter: current.counter};
+            await expectRejectWith(Keychain.load(password, JSON.stringify(forged), undefined, {minCounter: current.counter}), RecordTamperedError);
+            let spliced = {...current, kvs: old.kvs};
+            await expectRejectWith(Keychain.load(password, JSON.stringify(spliced), undefined, {minCounter: current.counter}), RecordTamperedError);
+        });
+
+        it('detects an edited dump without rollback options', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('www.example.com', 'examplePassword');
+            let contents = JSON.parse((await keychain.dump())[0]);
+            for (let edit of [
+                {counter: 1e9},
+                {normalization: {stripWww: false, matchSubdomains: true}},
+                {historyDepth: 0},
+                {kvs: {}, index: contents.index},
+            ]) {
+                await expectRejectWith(Keychain.load(password, JSON.stringify({...contents, ...edit})), RecordTamperedError);
+            }
+            expect(await (await Keychain.load(password, JSON.stringify(contents))).get('www.example.com')).to.equal('examplePassword');
+        });
+
+        it('detects a dump relabelled as a version without a MAC', async function () {
+            let keychain = await Keychain.init(password);
+            await keychain.set('a.com', 'aPassword');
+            await keychain.set('b.com', 'bPassword');
+            let contents = JSON.parse((await keychain.dump())[0]);
+            let {mac, index, counter, ...unlabelled} = contents;
+            let kept = Object.keys(contents.kvs)[0];
+            for (let version of [3, 4, 10]) {
+                let forged = {...unlabelled, version: version, kvs: {[kept]: contents.kvs[kept]}};
+                await expectRejectWith(Keychain.load(password, JSON.stringify(forged)), RecordTamperedError);
+            }
+            await expectRejectWith(Keychain.load('fakepassword', JSON.stringify({...unlabelled, version: 3})), WrongPasswordError);
+        });
+
+        it('tracks the newest version through a counter store', async function () {
+            let highest = null;
+            let counterStore = {
+                read: async () => highest,
+                write: async (counter) => {
+                    highest = counter;
+                },
+            };
+            let keychain = await Keychain.init(password, {counterStore: counterStore});
+            await keychain.set('www.google.com', 'oldGooglePassword');
+            let data1 = await keychain.dump();
+            expect(highest).to.equal(JSON.parse(data1[0]).counter);
+
+            let loaded = await Keychain.load(password, data1[0], data1[1], {counterStore: counterStore});
+            await loaded.set('www.google.com', 'newGooglePassword');
+            let data2 = await loaded.dump();
+            expect(highest).to.equal(JSON.parse(data2[0]).counter);
+
+            await expectRejectWith(Keychain.load(password, data1[0], data1[1], {counterStore: counterStore}), RollbackError);
+            await Keychain.load(password, data2[0], data2[1], {counterStore: counterStore});
+        });
+
+        it('treats vaults from before the counter as version 0', async function () {
+            await Keychain.load(password, v2Vault.contents, v2Vault.checksum, {minCounter: 0});
+            await expectRejectWith(Keychain.load(password, v2Vault.contents, v2Vault.checksum, {minCounter: 1}), RollbackError);
+        });
+
         it('should not allow setting an empty password', async function() {
             let keychain = await Keychain.init(password);
             let url = 'www.example.com';
@@ -1,6 +1,12 @@
 "use strict";
 
-const {Keychain} = require('../password-manager');
+const {
+    Keychain,
+    ChecksumMismatchError,
+    WrongPasswordError,
+    InvalidInputError,
+    ValueTooLongError,
+} = require('../password-manager');
 // Instead of:
 // const { expect } = require('chai');
 
@@ -13,6 +19,16 @@ let expect;
 
 // Then use expect as usual in your test cases
 
+// Resolves to the error a promise rejects with, or null if it fulfills
+async function rejectionOf(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+    return null;
+}
+
 
 describe('Keychain', function () {
     describe('init', function () {
@@ -37,7 +53,9 @@ describe('Keychain', function () {
             const keychain1 = await Keychain.init(password);
             const [repr, checksum] = await keychain1.dump();
             const alteredChecksum = checksum + 'a';
-            expect(async () => await Keychain.load(password, repr, alteredChecksum)).to.throw('Integrity check failed!');
+            const error = await rejectionOf(Keychain.load(password, repr, alteredChecksum));
+            expect(error).to.be.instanceOf(ChecksumMismatchError);
+            expect(error.code).to.equal('CHECKSUM_MISMATCH');
         });
 
         it('should throw an error if password mismatch', async function () {
@@ -45,7 +63,9 @@ describe('Keychain', function () {
             const password2 = "password456!";
             const keychain1 = await Keychain.init(password1);
             const [repr, checksum] = await keychain1.dump();
-            expect(async () => await Keychain.load(password2, repr, checksum)).to.throw('Integrity check failed!');
+            const error = await rejectionOf(Keychain.load(password2, repr, checksum));
+            expect(error).to.be.instanceOf(WrongPasswordError);
+            expect(error.code).to.equal('WRONG_PASSWORD');
         });
     });
 
@@ -82,15 +102,17 @@ describe('Keychain', function () {
         it('should throw an error for empty name or value', async function () {
             const password = "password123!";
             const keychain = await Keychain.init(password);
-            expect(async () => await keychain.set('', 'value')).to.throw('Invalid input!');
-            expect(async () => await keychain.set('name', '')).to.throw('Invalid input!');
+            expect(await rejectionOf(keychain.set('', 'value'))).to.be.instanceOf(InvalidInputError);
+            expect(await rejectionOf(keychain.set('name', ''))).to.be.instanceOf(InvalidInputError);
         });
 
         it('should throw an error for long value', async function () {
             const password = "password123!";
             const keychain = await Keychain.init(password);
             const longValue = 'a'.repeat(65); // Longer than MAX_PASSWORD_LENGTH
-            expect(async () => await keychain.set('name', longValue)).to.throw('Password is too long!');
+            const error = await rejectionOf(keychain.set('name', longValue));
+            expect(error).to.be.instanceOf(ValueTooLongError);
+            expect(error.code).to.equal('VALUE_TOO_LONG');
         });
     });
 
@@ -102,6 +124,12 @@ describe('Keychain', function () {
             expect(result).to.be.false;
         });
 
+        it('should throw an error for a non-string domain', async function () {
+            const password = "password123!";
+            const keychain = await Keychain.init(password);
+            expect(await rejectionOf(keychain.remove(null))).to.be.instanceOf(InvalidInputError);
+        });
+
         it('should return true for existing domain', async function () {
             const password = "password123!";
             const keychain = await Keychain.init(password);
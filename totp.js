@@ -0,0 +1,126 @@
+"use strict";
+
+const {subtle} = require("crypto").webcrypto;
+const {InvalidInputError} = require("./errors");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_ALGORITHMS = {SHA1: "SHA-1", SHA256: "SHA-256", SHA512: "SHA-512"};
+const MIN_DIGITS = 6;
+const MAX_DIGITS = 10; // a truncated HMAC is a 31-bit number
+
+/**
+ * Default TOTP parameters, those of RFC 6238 and of most authenticator apps.
+ */
+const DEFAULT_TOTP = {algorithm: "SHA1", digits: 6, period: 30};
+
+/**
+ * Decodes a Base32 string (RFC 4648). Case, spaces and padding are ignored,
+ * as authenticator apps do.
+ * @param {string} text - The Base32 text
+ * @returns {Buffer} The decoded bytes
+ */
+function base32Decode(text) {
+    const clean = text.replace(/[\s=]/g, "").toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const c of clean) {
+        const index = BASE32_ALPHABET.indexOf(c);
+        if (index === -1) {
+            throw new InvalidInputError("Invalid Base32 secret!");
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function isValidConfig(config) {
+    return typeof config.secret === "string" && base32Decode(config.secret).length > 0 &&
+        Object.prototype.hasOwnProperty.call(TOTP_ALGORITHMS, config.algorithm) &&
+        Number.isInteger(config.digits) && config.digits >= MIN_DIGITS && config.digits <= MAX_DIGITS &&
+        Number.isInteger(config.period) && config.period > 0;
+}
+
+function parseOtpauth(uri) {
+    let url;
+    try {
+        url = new URL(uri);
+    } catch (e) {
+        throw new InvalidInputError("Invalid otpauth URI!");
+    }
+    if (url.hostname.toLowerCase() !== "totp") {
+        throw new InvalidInputError("Only otpauth://totp URIs are supported!");
+    }
+    const param = (name) => url.searchParams.get(name);
+    return {
+        secret: param("secret") || "",
+        algorithm: param("algorithm") ? param("algorithm").toUpperCase() : DEFAULT_TOTP.algorithm,
+        digits: param("digits") ? Number(param("digits")) : DEFAULT_TOTP.digits,
+        period: param("period") ? Number(param("period")) : DEFAULT_TOTP.period,
+    };
+}
+
+/**
+ * Reads a TOTP secret as stored in a record: {secret, algorithm, digits,
+ * period}, with the secret in Base32 and the algorithm one of "SHA1",
+ * "SHA256" and "SHA512". It can be given as an "otpauth://totp/..." URI, a
+ * bare Base32 secret (with the default parameters) or such an object.
+ * @param {string|object} value - The TOTP secret
+ * @returns {{secret: string, algorithm: string, digits: number, period: number}} The normalized secret
+ */
+function parseTotp(value) {
+    let config;
+    if (typeof value === "string" && /^otpauth:/i.test(value.trim())) {
+        config = parseOtpauth(value.trim());
+    } else if (typeof value === "string") {
+        config = {...DEFAULT_TOTP, secret: value};
+    } else if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+        config = {...DEFAULT_TOTP, ...value};
+    } else {
+        throw new InvalidInputError();
+    }
+    if (!isValidConfig(config)) {
+        throw new InvalidInputError("Invalid TOTP secret!");
+    }
+    return {
+        secret: config.secret.replace(/[\s=]/g, "").toUpperCase(),
+        algorithm: config.algorithm,
+        digits: config.digits,
+        period: config.period,
+    };
+}
+
+/**
+ * Computes the RFC 6238 code of a TOTP secret at a point in time: the HOTP
+ * (RFC 4226) value of the number of whole periods since the epoch.
+ * @param {object} config - A secret as returned by parseTotp
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {Promise<string>} The code, zero-padded to config.digits digits
+ */
+async function totpCode(config, time) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / config.period)));
+    const key = await subtle.importKey(
+        "raw",
+        base32Decode(config.secret),
+        {name: "HMAC", hash: TOTP_ALGORITHMS[config.algorithm]},
+        false,
+        ["sign"]
+    );
+    const mac = Buffer.from(await subtle.sign("HMAC", key, counter));
+    const offset = mac[mac.length - 1] & 0x0f;
+    const value = mac.readUInt32BE(offset) & 0x7fffffff;
+    return String(value % Math.pow(10, config.digits)).padStart(config.digits, "0");
+}
+
+module.exports = {
+    DEFAULT_TOTP,
+    base32Decode,
+    parseTotp,
+    totpCode,
+}